@@ -0,0 +1,147 @@
+const assert = require('bsert')
+const Network = require('./protocol/network')
+const NameState = require('./primitives/namestate')
+const Outpoint = require('./primitives/outpoint')
+const consensus = require('./protocol/consensus')
+
+const { states, statesByVal } = NameState
+
+// Plain `{height, renewal, owner, ...}` objects become a name state,
+// so the phase rules live in one place: `NameState#state()`.
+function toNameState (auction) {
+  if (auction instanceof NameState) { return auction }
+
+  assert(auction && (auction.height >>> 0) === auction.height)
+
+  const {
+    height,
+    renewal = height,
+    owner,
+    transfer = 0,
+    revoked = 0,
+    claimed = 0,
+    registered = renewal > height
+  } = auction
+
+  const ns = new NameState()
+  ns.height = height
+  ns.renewal = renewal
+  ns.transfer = transfer
+  ns.revoked = revoked
+  ns.claimed = claimed
+  ns.registered = registered
+
+  // A null owner: nobody revealed, the auction expires once closed.
+  // Left out, some winning reveal is assumed in its place.
+  if (owner === undefined) {
+    ns.owner = new Outpoint(consensus.ZERO_HASH, 0)
+  } else if (owner) {
+    ns.owner = owner instanceof Outpoint ? owner : Outpoint.fromJSON(owner)
+  }
+
+  return ns
+}
+
+function getPhaseEnd (ns, current, network) {
+  network = Network.get(network)
+
+  if (ns.isExpired(current, network)) { return -1 }
+
+  const {
+    treeInterval,
+    lockupPeriod,
+    biddingPeriod,
+    revealPeriod,
+    renewalWindow,
+    auctionMaturity
+  } = network.names
+
+  const opening = ns.height + treeInterval + 1
+  const bidding = opening + biddingPeriod
+  const reveal = bidding + revealPeriod
+
+  switch (ns.state(current, network)) {
+    case states.OPENING:
+      return opening
+    case states.LOCKED:
+      return ns.height + lockupPeriod
+    case states.BIDDING:
+      return bidding
+    case states.REVEAL:
+      return reveal
+    case states.CLOSED:
+      return ns.renewal + renewalWindow
+    case states.REVOKED:
+      return ns.revoked + auctionMaturity
+    default:
+      return -1
+  }
+}
+
+function getOperations (ns, current, network) {
+  network = Network.get(network)
+
+  if (ns.isExpired(current, network)) { return ['OPEN'] }
+
+  const { treeInterval, transferLockup } = network.names
+
+  switch (ns.state(current, network)) {
+    case states.BIDDING:
+      return ['BID']
+    case states.REVEAL:
+      return ['REVEAL']
+    case states.CLOSED: {
+      // Losing reveals can always be redeemed, claims have none.
+      const ops = ns.claimed === 0 ? ['REDEEM'] : []
+
+      if (!ns.registered) {
+        ops.push('REGISTER')
+        return ops
+      }
+
+      ops.push('UPDATE')
+
+      if (current >= ns.renewal + treeInterval) { ops.push('RENEW') }
+
+      if (ns.transfer === 0) {
+        ops.push('TRANSFER')
+      } else if (current >= ns.transfer + transferLockup) {
+        ops.push('FINALIZE')
+      }
+
+      ops.push('REVOKE')
+
+      return ops
+    }
+    default:
+      return []
+  }
+}
+
+function getAuctionState (auction, current, network) {
+  assert((current >>> 0) === current)
+  network = Network.get(network)
+
+  const ns = toNameState(auction)
+  const state = ns.state(current, network)
+  const expired = ns.isExpired(current, network)
+  const end = getPhaseEnd(ns, current, network)
+
+  return {
+    state,
+    phase: expired ? 'EXPIRED' : statesByVal[state],
+    expired,
+    end,
+    blocksRemaining: end === -1 ? 0 : end - current,
+    operations: getOperations(ns, current, network)
+  }
+}
+
+module.exports = {
+  states,
+  statesByVal,
+  toNameState,
+  getPhaseEnd,
+  getOperations,
+  getAuctionState
+}
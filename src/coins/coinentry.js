@@ -8,8 +8,8 @@
 
 const assert = require('bsert')
 const bio = require('bufio')
-const Coin = require('../coin')
-const Output = require('../output')
+const Coin = require('../primitives/coin')
+const Output = require('../primitives/output')
 const compress = require('./compress')
 const { encoding } = bio
 
@@ -0,0 +1,122 @@
+/*!
+ * bitfield.js - bitfield for hsd
+ * Copyright (c) 2017-2018, Christopher Jeffrey (MIT License).
+ * https://github.com/handshake-org/hsd
+ */
+
+'use strict'
+
+const assert = require('bsert')
+const bio = require('bufio')
+
+/**
+ * BitField
+ * Tracks which airdrop proofs have been spent.
+ */
+
+class BitField extends bio.Struct {
+  constructor (size = 0) {
+    super()
+
+    assert((size >>> 0) === size)
+
+    this.field = Buffer.alloc((size + 7) >>> 3, 0x00)
+  }
+
+  get size () {
+    return this.field.length << 3
+  }
+
+  get (index) {
+    assert((index >>> 0) === index)
+
+    if (index >= this.size) { return false }
+
+    return (this.field[index >>> 3] & (1 << (index & 7))) !== 0
+  }
+
+  set (index, value) {
+    assert((index >>> 0) === index)
+    assert(index < this.size, 'Index out of range.')
+
+    if (value) { this.field[index >>> 3] |= 1 << (index & 7) } else { this.field[index >>> 3] &= ~(1 << (index & 7)) }
+
+    return this
+  }
+
+  isSpent (index) {
+    return this.get(index)
+  }
+
+  spend (index) {
+    return this.set(index, true)
+  }
+
+  unspend (index) {
+    return this.set(index, false)
+  }
+
+  getSize () {
+    return this.field.length
+  }
+
+  write (bw) {
+    bw.writeBytes(this.field)
+    return bw
+  }
+
+  read (br) {
+    this.field = br.readBytes(br.left())
+    return this
+  }
+}
+
+/**
+ * BitView
+ * Pending changes to a bitfield.
+ */
+
+class BitView {
+  constructor () {
+    this.bits = new Map()
+  }
+
+  isSpent (field, index) {
+    const cache = this.bits.get(index)
+
+    if (cache != null) { return cache }
+
+    return field.isSpent(index)
+  }
+
+  spend (field, index) {
+    if (this.isSpent(field, index)) { return false }
+
+    this.bits.set(index, true)
+
+    return true
+  }
+
+  unspend (field, index) {
+    if (!this.isSpent(field, index)) { return false }
+
+    this.bits.set(index, false)
+
+    return true
+  }
+
+  commit (field) {
+    for (const [index, value] of this.bits) { field.set(index, value) }
+
+    this.bits.clear()
+
+    return field
+  }
+}
+
+/*
+ * Expose
+ */
+
+exports.BitField = BitField
+exports.BitView = BitView
@@ -0,0 +1,79 @@
+/*!
+ * view.js - name view for hsd
+ * Copyright (c) 2017-2018, Christopher Jeffrey (MIT License).
+ * https://github.com/handshake-org/hsd
+ */
+
+'use strict'
+
+const assert = require('bsert')
+const { BufferMap } = require('buffer-map')
+const NameState = require('../primitives/namestate')
+
+/**
+ * View
+ * Name states touched by a transaction.
+ */
+
+class View {
+  constructor () {
+    this.names = new BufferMap()
+  }
+
+  /**
+   * Get a cached name state.
+   * @param {Hash} nameHash
+   * @returns {NameState|null}
+   */
+
+  getName (nameHash) {
+    assert(Buffer.isBuffer(nameHash))
+    return this.names.get(nameHash) || null
+  }
+
+  /**
+   * Add a name state to the view.
+   * @param {NameState} ns
+   * @returns {NameState}
+   */
+
+  addName (ns) {
+    assert(ns instanceof NameState)
+    this.names.set(ns.nameHash, ns)
+    return ns
+  }
+
+  /**
+   * Get a name state, reading it from the database
+   * if it is not cached. Unknown names get a fresh state.
+   * @param {Object} db
+   * @param {Hash} nameHash
+   * @returns {Promise} - Returns {@link NameState}.
+   */
+
+  async getNameState (db, nameHash) {
+    assert(db && typeof db.getNameState === 'function')
+    assert(Buffer.isBuffer(nameHash))
+
+    const cache = this.names.get(nameHash)
+
+    if (cache) { return cache }
+
+    let ns = await db.getNameState(nameHash)
+
+    if (!ns) {
+      ns = new NameState()
+      ns.nameHash = nameHash
+    }
+
+    this.names.set(nameHash, ns)
+
+    return ns
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = View
@@ -0,0 +1,140 @@
+const { BufferMap } = require('buffer-map')
+const Network = require('./protocol/network')
+const TX = require('./primitives/tx')
+const Address = require('./primitives/address')
+const { CoinView } = require('./coins')
+const { Resource } = require('./dns/resource')
+const util = require('./utils/util')
+const { types } = require('./rule')
+
+function decode (data) {
+  if (typeof data === 'string') { data = util.parseHex(data) }
+
+  return TX.decode(data)
+}
+
+function describe (tx, view, network) {
+  if (!(tx instanceof TX)) { tx = decode(tx) }
+
+  network = Network.get(network)
+  view = view || new CoinView()
+
+  // Fee and rate are only meaningful once every coin is known.
+  const complete = !tx.isCoinbase() && tx.hasCoins(view)
+  const json = tx.getJSON(network, complete ? view : null)
+
+  // Linked covenants only carry the name hash:
+  // look the name up in the covenants around them.
+  const names = new BufferMap()
+  const coins = tx.inputs.map(input => view.getOutputFor(input))
+
+  for (const { covenant } of tx.outputs.concat(coins.filter(Boolean))) { addName(names, covenant) }
+
+  return {
+    hash: json.hash,
+    witnessHash: json.witnessHash,
+    version: json.version,
+    locktime: json.locktime,
+    coinbase: tx.isCoinbase(),
+    size: tx.getSize(),
+    vsize: tx.getVirtualSize(),
+    weight: tx.getWeight(),
+    fee: complete ? json.fee : null,
+    rate: complete ? json.rate : null,
+    inputs: tx.inputs.map((input, i) => {
+      const coin = coins[i]
+      const address = coin ? coin.address : input.getAddress()
+
+      return {
+        ...json.inputs[i],
+        address: address ? address.toString(network) : null,
+        value: coin ? coin.value : null,
+        covenant: coin ? describeCovenant(coin.covenant, names, network) : null
+      }
+    }),
+    outputs: tx.outputs.map((output, i) => {
+      return {
+        ...json.outputs[i],
+        covenant: describeCovenant(output.covenant, names, network)
+      }
+    }),
+    hex: json.hex
+  }
+}
+
+function describeCovenant (covenant, names, network) {
+  const json = covenant.getJSON()
+
+  if (covenant.type === types.NONE || covenant.isUnknown()) { return json }
+
+  try {
+    const nameHash = covenant.getHash(0)
+    const name = names.get(nameHash)
+
+    json.nameHash = nameHash.toString('hex')
+    json.name = name || null
+    json.height = covenant.getU32(1)
+
+    switch (covenant.type) {
+      case types.CLAIM:
+        json.flags = covenant.getU8(3)
+        json.commitHash = covenant.getHash(4).toString('hex')
+        json.commitHeight = covenant.getU32(5)
+        break
+      case types.BID:
+        json.blind = covenant.getHash(3).toString('hex')
+        break
+      case types.REVEAL:
+        json.nonce = covenant.getHash(2).toString('hex')
+        break
+      case types.REGISTER:
+        json.resource = decodeResource(covenant.get(2))
+        json.renewalBlockHash = covenant.getHash(3).toString('hex')
+        break
+      case types.UPDATE:
+        json.resource = decodeResource(covenant.get(2))
+        break
+      case types.RENEW:
+        json.renewalBlockHash = covenant.getHash(2).toString('hex')
+        break
+      case types.TRANSFER: {
+        const address = Address.fromHash(covenant.get(3), covenant.getU8(2))
+        json.address = address.toString(network)
+        break
+      }
+      case types.FINALIZE:
+        json.flags = covenant.getU8(3)
+        json.claimed = covenant.getU32(4)
+        json.renewals = covenant.getU32(5)
+        json.renewalBlockHash = covenant.getHash(6).toString('hex')
+        break
+    }
+  } catch (e) {
+    // Malformed covenant: the raw items still tell the story.
+    json.error = e.message
+  }
+
+  return json
+}
+
+function addName (names, covenant) {
+  switch (covenant.type) {
+    case types.CLAIM:
+    case types.OPEN:
+    case types.BID:
+    case types.FINALIZE:
+      if (covenant.items.length > 2 && covenant.items[0].length === 32) { names.set(covenant.items[0], covenant.items[2].toString('binary')) }
+      break
+  }
+}
+
+function decodeResource (data) {
+  if (data.length === 0) { return null }
+
+  return Resource.decode(data).getJSON()
+}
+
+module.exports = {
+  decode,
+  describe
+}
@@ -0,0 +1,151 @@
+/*!
+ * common.js - common functions for hd
+ * Copyright (c) 2015-2016, Christopher Jeffrey (MIT License).
+ * https://github.com/handshake-org/hsd
+ */
+
+'use strict'
+
+const assert = require('bsert')
+
+/**
+ * @exports hd/common
+ */
+
+const common = exports
+
+/**
+ * Index at which hardening begins.
+ * @const {Number}
+ * @default
+ */
+
+common.HARDENED = 0x80000000
+
+/**
+ * Min entropy bits.
+ * @const {Number}
+ * @default
+ */
+
+common.MIN_ENTROPY = 128
+
+/**
+ * Max entropy bits.
+ * @const {Number}
+ * @default
+ */
+
+common.MAX_ENTROPY = 512
+
+/**
+ * Serialized size of an extended key
+ * (without the 4 byte checksum).
+ * @const {Number}
+ * @default
+ */
+
+common.KEY_SIZE = 78
+
+/**
+ * Empty compressed public key.
+ * @const {Buffer}
+ */
+
+common.ZERO_KEY = Buffer.alloc(33, 0x00)
+
+/**
+ * Parse a derivation path and return an array of indexes.
+ * @see https://github.com/bitcoin/bips/blob/master/bip-0032.mediawiki
+ * @param {String} path
+ * @param {Boolean} hard
+ * @returns {Number[]}
+ */
+
+common.parsePath = function parsePath (path, hard) {
+  assert(typeof path === 'string')
+  assert(typeof hard === 'boolean')
+  assert(path.length >= 1)
+  assert(path.length <= 3062)
+
+  const parts = path.split('/')
+  const root = parts[0]
+
+  if (root !== 'm' &&
+      root !== 'M' &&
+      root !== 'm\'' &&
+      root !== 'M\'') {
+    throw new Error('Invalid path root.')
+  }
+
+  const result = []
+
+  for (let i = 1; i < parts.length; i++) {
+    let part = parts[i]
+
+    const hardened = part[part.length - 1] === '\''
+
+    if (hardened) { part = part.slice(0, -1) }
+
+    if (part.length > 10) { throw new Error('Path index too large.') }
+
+    if (!/^\d+$/.test(part)) { throw new Error('Path index is non-numeric.') }
+
+    let index = parseInt(part, 10)
+
+    if ((index >>> 0) !== index) { throw new Error('Path index out of range.') }
+
+    if (hardened) {
+      index |= common.HARDENED
+      index >>>= 0
+    }
+
+    if (!hard && (index & common.HARDENED)) { throw new Error('Path index cannot be hardened.') }
+
+    result.push(index)
+  }
+
+  return result
+}
+
+/**
+ * Check the depth, parent fingerprint and child
+ * index of a decoded key against each other.
+ * @param {HDPrivateKey|HDPublicKey} key
+ * @throws on a master key with a parent or an index.
+ */
+
+common.checkLineage = function checkLineage (key) {
+  if (key.depth !== 0) { return }
+
+  if (key.parentFingerPrint !== 0) { throw new Error('Master key has a parent fingerprint.') }
+
+  if (key.childIndex !== 0) { throw new Error('Master key has a child index.') }
+}
+
+/**
+ * Test whether the key is a master key.
+ * @param {HDPrivateKey|HDPublicKey} key
+ * @returns {Boolean}
+ */
+
+common.isMaster = function isMaster (key) {
+  return key.depth === 0 &&
+    key.childIndex === 0 &&
+    key.parentFingerPrint === 0
+}
+
+/**
+ * Test whether the key is (most likely) a BIP44 account key.
+ * @param {HDPrivateKey|HDPublicKey} key
+ * @param {Number?} account
+ * @returns {Boolean}
+ */
+
+common.isAccount = function isAccount (key, account) {
+  if (account != null) {
+    const index = (common.HARDENED | account) >>> 0
+    if (key.childIndex !== index) { return false }
+  }
+  return key.depth === 3 && (key.childIndex & common.HARDENED) !== 0
+}
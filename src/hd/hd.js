@@ -0,0 +1,189 @@
+/*!
+ * hd.js - hd keys for hsd
+ * Copyright (c) 2015-2016, Christopher Jeffrey (MIT License).
+ * https://github.com/handshake-org/hsd
+ */
+
+'use strict'
+
+const assert = require('bsert')
+const Network = require('../protocol/network')
+const common = require('./common')
+const HDPrivateKey = require('./private')
+const HDPublicKey = require('./public')
+
+/**
+ * @exports hd
+ */
+
+const HD = exports
+
+/**
+ * Instantiate an HD key (public or private) from an base58 string.
+ * @param {Base58String} xkey
+ * @param {(Network|NetworkType)?} network
+ * @returns {HDPrivateKey|HDPublicKey}
+ */
+
+HD.fromBase58 = function fromBase58 (xkey, network) {
+  if (HDPrivateKey.isBase58(xkey)) { return HDPrivateKey.fromBase58(xkey, network) }
+  return HDPublicKey.fromBase58(xkey, network)
+}
+
+/**
+ * Generate an {@link HDPrivateKey}.
+ * @returns {HDPrivateKey}
+ */
+
+HD.generate = function generate () {
+  return HDPrivateKey.generate()
+}
+
+/**
+ * Generate an {@link HDPrivateKey} from a seed.
+ * @param {Buffer} seed
+ * @returns {HDPrivateKey}
+ */
+
+HD.fromSeed = function fromSeed (seed) {
+  return HDPrivateKey.fromSeed(seed)
+}
+
+/**
+ * Instantiate an hd private key from a bip39 mnemonic.
+ * @param {String} mnemonic
+ * @param {String?} passphrase
+ * @returns {HDPrivateKey}
+ */
+
+HD.fromMnemonic = function fromMnemonic (mnemonic, passphrase) {
+  return HDPrivateKey.fromMnemonic(mnemonic, passphrase)
+}
+
+/**
+ * Instantiate an HD key from a jsonified key object.
+ * @param {Object} json - The jsonified transaction object.
+ * @param {(Network|NetworkType)?} network
+ * @returns {HDPrivateKey|HDPublicKey}
+ */
+
+HD.fromJSON = function fromJSON (json, network) {
+  if (json.xprivkey) { return HDPrivateKey.fromJSON(json, network) }
+  return HDPublicKey.fromJSON(json, network)
+}
+
+/**
+ * Instantiate an HD key from serialized data.
+ * @param {Buffer} data
+ * @param {(Network|NetworkType)?} network
+ * @returns {HDPrivateKey|HDPublicKey}
+ */
+
+HD.fromRaw = function fromRaw (data, network) {
+  if (HDPrivateKey.isRaw(data, network)) { return HDPrivateKey.decode(data, network) }
+  return HDPublicKey.decode(data, network)
+}
+
+/**
+ * Generate an hdkey from any number of options.
+ * @param {Object|Buffer|Base58String} options - A seed,
+ * or a base58 string.
+ * @param {(Network|NetworkType)?} network
+ * @returns {HDPrivateKey|HDPublicKey}
+ */
+
+HD.from = function from (options, network) {
+  assert(options, 'Options required.')
+
+  if (HD.isHD(options)) { return options }
+
+  if (HD.isBase58(options, network)) { return HD.fromBase58(options, network) }
+
+  if (HD.isRaw(options, network)) { return HD.fromRaw(options, network) }
+
+  if (Buffer.isBuffer(options)) { return HD.fromSeed(options) }
+
+  if (typeof options === 'object') { return HD.fromJSON(options, network) }
+
+  throw new Error('Cannot create HD key from bad options.')
+}
+
+/**
+ * Get the network of a base58 extended key from its prefix.
+ * @param {Base58String} xkey
+ * @returns {Network}
+ */
+
+HD.getNetwork = function getNetwork (xkey) {
+  assert(typeof xkey === 'string')
+
+  const prefix = xkey.substring(0, 4)
+
+  if (HDPrivateKey.isBase58(xkey)) { return Network.fromPrivate58(prefix) }
+
+  return Network.fromPublic58(prefix)
+}
+
+/**
+ * Test whether an object is in the form of a base58 hd key.
+ * @param {String} data
+ * @param {(Network|NetworkType)?} network
+ * @returns {Boolean}
+ */
+
+HD.isBase58 = function isBase58 (data, network) {
+  return HDPrivateKey.isBase58(data, network) ||
+    HDPublicKey.isBase58(data, network)
+}
+
+/**
+ * Test whether an object is in the form of a serialized hd key.
+ * @param {Buffer} data
+ * @param {(Network|NetworkType)?} network
+ * @returns {Boolean}
+ */
+
+HD.isRaw = function isRaw (data, network) {
+  return HDPrivateKey.isRaw(data, network) ||
+    HDPublicKey.isRaw(data, network)
+}
+
+/**
+ * Test whether an object is an HD key.
+ * @param {Object} obj
+ * @returns {Boolean}
+ */
+
+HD.isHD = function isHD (obj) {
+  return HDPrivateKey.isHDPrivateKey(obj) ||
+    HDPublicKey.isHDPublicKey(obj)
+}
+
+/**
+ * Test whether an object is an HD private key.
+ * @param {Object} obj
+ * @returns {Boolean}
+ */
+
+HD.isPrivate = function isPrivate (obj) {
+  return HDPrivateKey.isHDPrivateKey(obj)
+}
+
+/**
+ * Test whether an object is an HD public key.
+ * @param {Object} obj
+ * @returns {Boolean}
+ */
+
+HD.isPublic = function isPublic (obj) {
+  return HDPublicKey.isHDPublicKey(obj)
+}
+
+/*
+ * Expose
+ */
+
+HD.common = common
+HD.HARDENED = common.HARDENED
+HD.PrivateKey = HDPrivateKey
+HD.PublicKey = HDPublicKey
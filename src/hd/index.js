@@ -0,0 +1,13 @@
+/*!
+ * hd/index.js - hd keys for hsd
+ * Copyright (c) 2015-2016, Christopher Jeffrey (MIT License).
+ * https://github.com/handshake-org/hsd
+ */
+
+'use strict'
+
+/**
+ * @module hd
+ */
+
+module.exports = require('./hd')
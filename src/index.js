@@ -1,78 +1,249 @@
-const hdkey = require('hdkey')
+const assert = require('bsert')
 const bip39 = require('bip39')
-const secp256k1 = require('secp256k1')
+const secp256k1 = require('bcrypto/lib/secp256k1')
 const blake2b = require('bcrypto/lib/blake2b')
 const sha3 = require('bcrypto/lib/sha3')
+const base58 = require('bcrypto/lib/encoding/base58')
+const { BufferSet } = require('buffer-map')
 
 const Tx = require('./primitives/tx')
 const Outpoint = require('./primitives/outpoint')
 const Output = require('./primitives/output')
-const Input = require('./primitives/input')
-const Script = require('./script/script')
-const Witness = require('./script/witness')
 const Address = require('./primitives/address')
 const Covenant = require('./primitives/covenant')
+const NameState = require('./primitives/namestate')
+const Claim = require('./primitives/claim')
+const Bid = require('./primitives/bid')
+const Coin = require('./primitives/coin')
+const MTX = require('./primitives/mtx')
+const KeyRing = require('./primitives/keyring')
+const hd = require('./hd')
+const { PrivateKey: HDPrivateKey, PublicKey: HDPublicKey } = hd
+const SigCache = require('./script/sigcache')
+const Account = require('./wallet/account')
+const recovery = require('./wallet/recovery')
+const { CoinView } = require('./coins')
+const ownership = require('./covenants/ownership')
+const reserved = require('./covenants/reserved')
+const util = require('./utils/util')
 const Resource = require('./dns/resource')
-const { verifyString, types, createBlind } = require('./rule')
+const Network = require('./protocol/network')
+const consensus = require('./protocol/consensus')
+const auction = require('./auction')
+const { decode, describe } = require('./describe')
+const {
+  MAX_RESOURCE_SIZE,
+  verifyString,
+  types,
+  createBlind,
+  checkOpen,
+  isReserved,
+  countOpens,
+  countUpdates,
+  countRenewals,
+  verifyCovenants
+} = require('./rule')
+
+const EMPTY = Buffer.alloc(0)
+
+// Each candidate costs a blake2b and a blind, about 0.7ms:
+// the search is synchronous, so keep it to a few seconds.
+const MAX_BID_CANDIDATES = 10000
 
 class HandshakeJS {
-  constructor ({ privateKey, publicKey, mnemonic, seed, path, network }) {
+  constructor ({ privateKey, publicKey, mnemonic, seed, path, accountKey, network }) {
+    if (typeof privateKey === 'string') { ({ privateKey, publicKey, network } = parseWIF(privateKey, network)) }
+
     this._publicKey = publicKey
     this._privateKey = privateKey
     this._mnemonic = mnemonic
     this._seed = seed
     this._path = path
+    this._accountKey = accountKey
     this._network = network
 
+    this.isWatchOnly = this.isWatchOnly.bind(this)
+    this.getKeyRing = this.getKeyRing.bind(this)
+    this.toWIF = this.toWIF.bind(this)
     this.getAddress = this.getAddress.bind(this)
+    this.getChangeAddress = this.getChangeAddress.bind(this)
+    this.getAccount = this.getAccount.bind(this)
+    this.recover = this.recover.bind(this)
     this.generateTransaction = this.generateTransaction.bind(this)
     this.send = this.send.bind(this)
+    this.sendMany = this.sendMany.bind(this)
+    this.sweep = this.sweep.bind(this)
     this.openName = this.openName.bind(this)
     this.bidName = this.bidName.bind(this)
+    this.recoverBid = this.recoverBid.bind(this)
+    this.revealName = this.revealName.bind(this)
+    this.redeemName = this.redeemName.bind(this)
+    this.registerName = this.registerName.bind(this)
+    this.updateName = this.updateName.bind(this)
+    this.renewName = this.renewName.bind(this)
+    this.transferName = this.transferName.bind(this)
+    this.finalizeName = this.finalizeName.bind(this)
+    this.revokeName = this.revokeName.bind(this)
+    this.batchName = this.batchName.bind(this)
+    this.createClaimRecord = this.createClaimRecord.bind(this)
+    this.claimName = this.claimName.bind(this)
+    this.generateLinkedTransaction = this.generateLinkedTransaction.bind(this)
+    this.fundTransaction = this.fundTransaction.bind(this)
+    this.signTransaction = this.signTransaction.bind(this)
+    this.exportTransaction = this.exportTransaction.bind(this)
+    this.signExported = this.signExported.bind(this)
     this.hashName = this.hashName.bind(this)
     this.generateNonce = this.generateNonce.bind(this)
   }
 
-  static fromMnemonic (mnemonic, path = 'm\'/44\'/5353\'/0\'/0/0', network) {
+  static fromMnemonic (mnemonic, path, network) {
+    if (path == null) { path = getDefaultPath(network) }
+
     const seed = bip39.mnemonicToSeedSync(mnemonic)
-    const keyPair = hdkey.fromMasterSeed(seed).derive(path)
+    const keyPair = HDPrivateKey.fromSeed(seed).derivePath(path)
 
     const { privateKey, publicKey } = keyPair
     return new this({ privateKey, publicKey, mnemonic, seed, path, network })
   }
 
-  static fromMasterSeed (seed, path = 'm\'/44\'/5353\'/0\'/0/0', network) {
-    const keyPair = hdkey.fromMasterSeed(seed).derive(path)
+  static fromMasterSeed (seed, path, network) {
+    if (path == null) { path = getDefaultPath(network) }
+
+    const keyPair = HDPrivateKey.fromSeed(seed).derivePath(path)
 
     const { privateKey, publicKey } = keyPair
     return new this({ privateKey, publicKey, seed, path, network })
   }
 
   static fromPrivateKey (privateKey, network) {
+    if (typeof privateKey === 'string') { return this.fromWIF(privateKey, network) }
+
     const publicKey = secp256k1.publicKeyCreate(privateKey, true)
     return new this({ privateKey, publicKey, network })
   }
 
+  // Without a network, the WIF prefix picks it.
+  static fromWIF (wif, network) {
+    return new this({ ...parseWIF(wif, network) })
+  }
+
+  // Watch-only: an account xpub (m/44'/coinType'/account')
+  // receiving on its first address, m/44'/coinType'/account'/0/0.
+  static fromXpub (xpub, network) {
+    assert(typeof xpub === 'string', 'Extended public key must be a string.')
+
+    if (HDPrivateKey.isBase58(xpub)) { throw new Error('Extended key is private, a watch-only wallet takes an xpub.') }
+
+    let accountKey
+
+    // The prefix picks the network (Network.fromPublic58), which
+    // must be ours, then the checksum and the version are checked.
+    try {
+      accountKey = HDPublicKey.fromBase58(xpub, Network.get(network))
+    } catch (e) {
+      throw new Error(`Invalid extended public key: ${e.message}`)
+    }
+
+    if (!accountKey.isAccount()) { throw new Error('Extended public key must be a hardened account key (depth 3).') }
+
+    const { publicKey } = accountKey.derive(0).derive(0)
+    return new this({ publicKey, accountKey, network })
+  }
+
+  isWatchOnly () {
+    return !this._privateKey
+  }
+
+  getKeyRing () {
+    if (this._privateKey) { return KeyRing.fromPrivate(this._privateKey) }
+
+    return KeyRing.fromPublic(this._publicKey)
+  }
+
+  toWIF () {
+    if (!this._privateKey) { throw new Error('Watch-only wallet has no private key to export.') }
+
+    return this.getKeyRing().toSecret(this._network)
+  }
+
   getAddress (path) {
     if (path && this._seed) {
-      const keyPair = hdkey.fromMasterSeed(this._seed).derive(path)
+      const keyPair = HDPrivateKey.fromSeed(this._seed).derivePath(path)
       return Address.fromPubkey(keyPair.publicKey).toString(this._network)
     }
 
     return Address.fromPubkey(this._publicKey).toString(this._network)
   }
 
-  send (utxos, address, amount, fee, changeAddress) {
-    const inputAmount = utxos.reduce((acc, cur) => acc + cur.value, 0)
-    const changeAmount = inputAmount - fee - amount
+  getChangeAddress (index = 0) {
+    if (this._accountKey) {
+      const { publicKey } = this._accountKey.derive(1).derive(index)
+      return Address.fromPubkey(publicKey).toString(this._network)
+    }
 
-    const selfAddress = this.getAddress()
-    const outputs = [
-      Output.fromScript(Address.fromString(address), amount),
-      Output.fromScript(Address.fromString(changeAddress || selfAddress), changeAmount)
-    ]
+    if (!this._seed || !this._path) { throw new Error('Change derivation requires a seed or an xpub.') }
 
-    return this.generateTransaction(utxos, outputs)
+    // Swap the receive branch for the change branch: m/44'/coinType'/0'/1/index.
+    const path = this._path.split('/').slice(0, -2).concat(1, index).join('/')
+
+    return this.getAddress(path)
+  }
+
+  getAccount (accountIndex = 0, options) {
+    if (this._accountKey) {
+      const index = this._accountKey.childIndex - hd.HARDENED
+
+      if (accountIndex !== index) { throw new Error(`Watch-only wallet only holds account ${index}.`) }
+
+      return new Account({ ...options, accountKey: this._accountKey, accountIndex, network: this._network })
+    }
+
+    if (!this._seed) { throw new Error('Accounts require a seed or an xpub.') }
+
+    return Account.fromSeed(this._seed, accountIndex, this._network, options)
+  }
+
+  recover (lookup, options) {
+    if (!this._seed) { throw new Error('Recovery requires a seed.') }
+
+    return recovery.recover(this._seed, lookup, { network: this._network, ...options })
+  }
+
+  send (utxos, address, amount, fee, changeAddress, options) {
+    const mtx = new MTX()
+
+    mtx.addOutput(Address.fromString(address), amount)
+
+    return this.fundTransaction(mtx, utxos, fee, changeAddress, options)
+  }
+
+  sendMany (utxos, outputs, fee, changeAddress, options) {
+    assert(Array.isArray(outputs) && outputs.length > 0, 'Outputs are required.')
+
+    const mtx = new MTX()
+
+    for (const { address, value } of outputs) { mtx.addOutput(Address.fromString(address), value) }
+
+    return this.fundTransaction(mtx, utxos, fee, changeAddress, options)
+  }
+
+  sweep (utxos, address, fee, options) {
+    const mtx = new MTX()
+    const own = this.getKeyRing().getAddress()
+    const coins = utxos.map(utxo => toCoin(utxo, own))
+
+    // Everything spendable goes to the change output.
+    const select = mtx.fund(coins, {
+      network: this._network,
+      ...options,
+      selection: 'all',
+      fee,
+      changeAddress: Address.fromString(address)
+    })
+
+    if (mtx.changeIndex === -1) { throw new MTX.FundingError(`Nothing to sweep${select.formatSkipped()}.`) }
+
+    return this.completeTransaction(mtx)
   }
 
   hashName (name) {
@@ -87,42 +258,267 @@ class HandshakeJS {
   };
 
   generateNonce (nameHash, address, value) {
-    const hi = (value * (1 / 0x100000000)) >>> 0
-    const lo = value >>> 0
-    const index = (hi ^ lo) & 0x7fffffff
-    // console.log(index)
-    const { publicKey } = hdkey
-      .fromMasterSeed(this._seed)
-      .derive(`m'/44'/5353'/0'/${index}`)
+    const index = getNonceIndex(value)
+    const { publicKey } = this.getNonceKey().derive(index)
 
     return blake2b.multi(address.hash, publicKey, nameHash)
   }
 
-  openName (name, utxos, fee, changeAddress) {
+  // Nonce keys hang off the first account: m/44'/coinType'/0'/index.
+  getNonceKey () {
+    if (this._accountKey) { return this._accountKey }
+
+    if (!this._seed) { throw new Error('Bid nonces require a seed or an xpub.') }
+
+    return HDPrivateKey.fromSeed(this._seed).derivePath(Account.getAccountPath(this._network, 0))
+  }
+
+  // Bids used the main account on every network before the coin
+  // type followed the network: only searched, to reveal those.
+  getLegacyNonceKey () {
+    if (!this._seed) { return null }
+
+    const path = Account.getAccountPath('main', 0)
+
+    if (path === Account.getAccountPath(this._network, 0)) { return null }
+
+    return HDPrivateKey.fromSeed(this._seed).derivePath(path)
+  }
+
+  recoverBid (bidOutput, candidates) {
+    let prevout = null
+
+    // Coin JSON carries the outpoint along with the output.
+    if (!(bidOutput instanceof Output)) {
+      if (bidOutput.hash != null) { prevout = Outpoint.fromJSON(bidOutput) }
+
+      bidOutput = Output.fromJSON(bidOutput)
+    }
+
+    const { covenant, address } = bidOutput
+
+    if (covenant.type !== types.BID) { throw new Error('Output is not a bid.') }
+
+    const nameHash = covenant.getHash(0)
+    const start = covenant.getU32(1)
+    const name = covenant.getString(2)
+    const blind = covenant.getHash(3)
+    const lockup = bidOutput.value
+
+    if (candidates == null) { throw new Error('Bid recovery requires candidate values or a {min, max} range.') }
+
+    candidates = getCandidates(candidates, lockup)
+
+    const accounts = [this.getNonceKey(), this.getLegacyNonceKey()].filter(Boolean)
+
+    for (const account of accounts) {
+      const keys = new Map()
+
+      for (const value of candidates) {
+        const index = getNonceIndex(value)
+
+        if (!keys.has(index)) { keys.set(index, account.derive(index).publicKey) }
+
+        const nonce = blake2b.multi(address.hash, keys.get(index), nameHash)
+
+        if (!createBlind(value, nonce).equals(blind)) { continue }
+
+        return new Bid({
+          name,
+          start,
+          value,
+          lockup,
+          blind,
+          nonce,
+          prevout,
+          address
+        })
+      }
+    }
+
+    return null
+  }
+
+  openName (name, utxos, fee, changeAddress, height, options) {
+    const mtx = new MTX()
+
+    mtx.addOutput(this.makeOpen(name, height))
+
+    return this.fundTransaction(mtx, utxos, fee, changeAddress, { height, ...options })
+  }
+
+  bidName (name, value, lockup, start, utxos, fee, changeAddress, options) {
+    const mtx = new MTX()
+
+    mtx.addOutput(this.makeBid(name, value, lockup, start))
+
+    return this.fundTransaction(mtx, utxos, fee, changeAddress, options)
+  }
+
+  revealName (name, bidOutpoint, value, utxos, fee, changeAddress, options) {
+    const output = this.makeReveal(name, bidOutpoint, value)
+    return this.generateLinkedTransaction(bidOutpoint, output, utxos, fee, changeAddress, options)
+  }
+
+  redeemName (name, revealOutpoint, utxos = [], fee, address, options = {}) {
+    const mtx = new MTX()
+    const own = this.getKeyRing().getAddress()
+
+    // The REVEAL input must sit at the same index as its REDEEM output.
+    for (const utxo of [revealOutpoint, ...utxos]) { mtx.addCoin(toCoin(utxo, own)) }
+
+    const output = mtx.addOutput(this.makeRedeem(name, revealOutpoint, address))
+
+    // Without a fixed fee, size the fee as if the transaction was signed.
+    if (fee == null) {
+      const { rate = Network.get(this._network).minRelay, round = false } = options
+      fee = round ? mtx.getRoundFee(null, rate) : mtx.getMinFee(null, rate)
+    }
+
+    output.value = mtx.getInputValue() - fee
+
+    return this.completeTransaction(mtx)
+  }
+
+  registerName (name, revealOutpoint, value, resource, renewalBlockHash, utxos, fee, changeAddress, options) {
+    const output = this.makeRegister(name, revealOutpoint, value, resource, renewalBlockHash)
+    return this.generateLinkedTransaction(revealOutpoint, output, utxos, fee, changeAddress, options)
+  }
+
+  updateName (name, nameOutpoint, resource, utxos, fee, changeAddress, options) {
+    const output = this.makeUpdate(name, nameOutpoint, resource)
+    return this.generateLinkedTransaction(nameOutpoint, output, utxos, fee, changeAddress, options)
+  }
+
+  renewName (name, nameOutpoint, renewalBlockHash, utxos, fee, changeAddress, options) {
+    const output = this.makeRenew(name, nameOutpoint, renewalBlockHash)
+    return this.generateLinkedTransaction(nameOutpoint, output, utxos, fee, changeAddress, options)
+  }
+
+  transferName (name, nameOutpoint, toAddress, utxos, fee, changeAddress, options) {
+    const output = this.makeTransfer(name, nameOutpoint, toAddress)
+    return this.generateLinkedTransaction(nameOutpoint, output, utxos, fee, changeAddress, options)
+  }
+
+  finalizeName (name, transferOutpoint, toAddress, details, utxos, fee, changeAddress, options) {
+    const output = this.makeFinalize(name, transferOutpoint, toAddress, details)
+    return this.generateLinkedTransaction(transferOutpoint, output, utxos, fee, changeAddress, options)
+  }
+
+  revokeName (name, nameOutpoint, utxos, fee, changeAddress, options) {
+    const output = this.makeRevoke(name, nameOutpoint)
+    return this.generateLinkedTransaction(nameOutpoint, output, utxos, fee, changeAddress, options)
+  }
+
+  batchName (actions, utxos = [], fee, changeAddress, options) {
+    assert(Array.isArray(actions) && actions.length > 0, 'Actions must be a non-empty array.')
+
+    const names = new BufferSet()
+    const opened = new BufferSet()
+    const touched = new BufferSet()
+    const linked = []
+    const unlinked = []
+
+    for (const action of actions) {
+      const { type, name } = action
+      let output
+
+      switch (type) {
+        case 'open':
+          output = this.makeOpen(name, action.height)
+          break
+        case 'bid':
+          output = this.makeBid(name, action.value, action.lockup, action.start)
+          break
+        case 'reveal':
+          output = this.makeReveal(name, action.outpoint, action.value)
+          break
+        case 'redeem':
+          output = this.makeRedeem(name, action.outpoint, action.address)
+          break
+        case 'register':
+          output = this.makeRegister(name, action.outpoint, action.value, action.resource, action.renewalBlockHash)
+          break
+        case 'update':
+          output = this.makeUpdate(name, action.outpoint, action.resource)
+          break
+        case 'renew':
+          output = this.makeRenew(name, action.outpoint, action.renewalBlockHash)
+          break
+        default:
+          throw new Error(`Unknown batch action: "${type}".`)
+      }
+
+      const nameHash = output.covenant.getHash(0)
+
+      // An OPEN starts the auction, nothing else can
+      // happen to the name in the same transaction.
+      if (opened.has(nameHash) || (type === 'open' && touched.has(nameHash))) { throw new Error(`Cannot open and act on the same name in a batch: "${name}".`) }
+
+      // Bids, reveals and redeems may repeat, a name can
+      // only be opened or updated once per transaction.
+      if (isUnique(output.covenant)) {
+        if (names.has(nameHash)) { throw new Error(`Duplicate name in batch: "${name}".`) }
+
+        names.add(nameHash)
+      }
+
+      if (type === 'open') { opened.add(nameHash) }
+
+      touched.add(nameHash)
+
+      if (action.outpoint) {
+        linked.push([action.outpoint, output])
+      } else {
+        unlinked.push(output)
+      }
+    }
+
+    const batch = { outputs: linked.map(([, output]) => output).concat(unlinked) }
+
+    if (countOpens(batch) > consensus.MAX_BLOCK_OPENS) { throw new Error('Too many opens in batch.') }
+
+    if (countUpdates(batch) > consensus.MAX_BLOCK_UPDATES) { throw new Error('Too many updates in batch.') }
+
+    if (countRenewals(batch) > consensus.MAX_BLOCK_RENEWALS) { throw new Error('Too many renewals in batch.') }
+
+    const mtx = new MTX()
+    const address = this.getKeyRing().getAddress()
+
+    // Linked inputs must sit at the same index as their covenant outputs.
+    for (const [outpoint, output] of linked) {
+      mtx.addCoin(toCoin(outpoint, address))
+      mtx.addOutput(output)
+    }
+
+    for (const output of unlinked) { mtx.addOutput(output) }
+
+    return this.fundTransaction(mtx, utxos, fee, changeAddress, options)
+  }
+
+  makeOpen (name, height) {
+    if (!verifyString(name)) { throw new Error('Invalid name.') }
+
+    // Reserved and not yet rolled out names depend on the height.
+    if ((height >>> 0) !== height) { throw new Error('Current height is required to open a name.') }
+
+    checkOpen(name, height, this._network)
+
     const rawName = Buffer.from(name, 'ascii')
     const nameHash = this.hashName(rawName)
-    const addr = this.getAddress()
 
     const output = new Output()
-    output.address = addr
+    output.address = this.getAddress()
     output.value = 0
     output.covenant.type = types.OPEN
     output.covenant.pushHash(nameHash)
     output.covenant.pushU32(0)
     output.covenant.push(rawName)
 
-    const inputAmount = utxos.reduce((acc, cur) => acc + cur.value, 0)
-    const changeAmount = inputAmount - fee
-
-    const outputs = [
-      Output.fromScript(Address.fromString(changeAddress || addr), changeAmount),
-      output
-    ]
-
-    return this.generateTransaction(utxos, outputs)
+    return output
   }
 
-  bidName (name, value, lockup, start, utxos, fee, changeAddress) {
+  makeBid (name, value, lockup, start) {
     if (!verifyString(name)) { throw new Error('Invalid name.') }
 
     const rawName = Buffer.from(name, 'ascii')
@@ -141,47 +537,416 @@ class HandshakeJS {
     output.covenant.push(rawName)
     output.covenant.pushHash(blind)
 
-    const inputAmount = utxos.reduce((acc, cur) => acc + cur.value, 0)
-    const changeAmount = inputAmount - fee - value
+    return output
+  }
+
+  makeReveal (name, bidOutpoint, value) {
+    if (!verifyString(name)) { throw new Error('Invalid name.') }
+
+    if (value > bidOutpoint.value) { throw new Error('Reveal value exceeds bid lockup.') }
+
+    const rawName = Buffer.from(name, 'ascii')
+    const nameHash = this.hashName(rawName)
+    const addr = this.getAddress()
+
+    // A nonce found by recoverBid, e.g. for a bid from the legacy key.
+    const nonce = bidOutpoint.nonce != null
+      ? toHash(bidOutpoint.nonce)
+      : this.generateNonce(nameHash, Address.fromString(addr), value)
 
-    const outputs = [
-      output,
-      Output.fromScript(Address.fromString(changeAddress || addr), changeAmount)
-    ]
+    const output = new Output()
+    output.address = addr
+    output.value = value
+    output.covenant.type = types.REVEAL
+    output.covenant.pushHash(nameHash)
+    output.covenant.pushU32(bidOutpoint.start)
+    output.covenant.pushHash(nonce)
 
-    return this.generateTransaction(utxos, outputs)
+    return output
   }
 
-  generateTransaction (utxos, outputs) {
-    const inputs = utxos.map(utxo => {
-      const outpoint = new Outpoint(Buffer.from(utxo.hash, 'hex'), utxo.index)
-      return Input.fromOutpoint(outpoint)
-    })
+  makeRedeem (name, revealOutpoint, address) {
+    if (!verifyString(name)) { throw new Error('Invalid name.') }
 
-    const transaction = new Tx({
-      inputs,
-      outputs
-    })
+    const rawName = Buffer.from(name, 'ascii')
+    const nameHash = this.hashName(rawName)
 
-    const pkh = blake2b.digest(this._publicKey, 20)
-    const script = Script.fromPubkeyhash(pkh)
+    const output = new Output()
+    output.address = address || this.getAddress()
+    output.value = revealOutpoint.value
+    output.covenant.type = types.REDEEM
+    output.covenant.pushHash(nameHash)
+    output.covenant.pushU32(revealOutpoint.start)
 
-    transaction.inputs.forEach((i, index) => {
-      const txin = utxos[index]
-      const sig = transaction.signature(index, script, txin.value, this._privateKey)
-      i.witness = Witness.fromItems([sig, this._publicKey])
+    return output
+  }
+
+  makeRegister (name, revealOutpoint, value, resource, renewalBlockHash) {
+    if (!verifyString(name)) { throw new Error('Invalid name.') }
+
+    // A vickrey auction: the winner pays the second highest bid.
+    if (value > revealOutpoint.value) { throw new Error('Name value exceeds revealed value.') }
+
+    const rawName = Buffer.from(name, 'ascii')
+    const nameHash = this.hashName(rawName)
+
+    const output = new Output()
+    // The name stays at the address of the coin it spends.
+    output.address = toCoin(revealOutpoint, this.getKeyRing().getAddress()).address
+    output.value = value
+    output.covenant.type = types.REGISTER
+    output.covenant.pushHash(nameHash)
+    output.covenant.pushU32(revealOutpoint.start)
+    output.covenant.push(encodeResource(resource))
+    output.covenant.pushHash(toHash(renewalBlockHash))
+
+    return output
+  }
+
+  makeUpdate (name, nameOutpoint, resource) {
+    if (!verifyString(name)) { throw new Error('Invalid name.') }
+
+    const rawName = Buffer.from(name, 'ascii')
+    const nameHash = this.hashName(rawName)
+
+    const output = new Output()
+    output.address = toCoin(nameOutpoint, this.getKeyRing().getAddress()).address
+    output.value = nameOutpoint.value
+    output.covenant.type = types.UPDATE
+    output.covenant.pushHash(nameHash)
+    output.covenant.pushU32(nameOutpoint.start)
+    output.covenant.push(encodeResource(resource))
+
+    return output
+  }
+
+  makeRenew (name, nameOutpoint, renewalBlockHash) {
+    if (!verifyString(name)) { throw new Error('Invalid name.') }
+
+    const rawName = Buffer.from(name, 'ascii')
+    const nameHash = this.hashName(rawName)
+
+    const output = new Output()
+    output.address = toCoin(nameOutpoint, this.getKeyRing().getAddress()).address
+    output.value = nameOutpoint.value
+    output.covenant.type = types.RENEW
+    output.covenant.pushHash(nameHash)
+    output.covenant.pushU32(nameOutpoint.start)
+    output.covenant.pushHash(toHash(renewalBlockHash))
+
+    return output
+  }
+
+  makeTransfer (name, nameOutpoint, toAddress) {
+    if (!verifyString(name)) { throw new Error('Invalid name.') }
+
+    const rawName = Buffer.from(name, 'ascii')
+    const nameHash = this.hashName(rawName)
+    const address = Address.fromString(toAddress)
+
+    const output = new Output()
+    output.address = toCoin(nameOutpoint, this.getKeyRing().getAddress()).address
+    output.value = nameOutpoint.value
+    output.covenant.type = types.TRANSFER
+    output.covenant.pushHash(nameHash)
+    output.covenant.pushU32(nameOutpoint.start)
+    output.covenant.pushU8(address.version)
+    output.covenant.push(address.hash)
+
+    return output
+  }
+
+  makeFinalize (name, transferOutpoint, toAddress, details) {
+    if (!verifyString(name)) { throw new Error('Invalid name.') }
+
+    const { flags = 0, claimed = 0, renewals = 0, renewalBlockHash, height } = details
+    const network = Network.get(this._network)
+
+    if (height != null) {
+      if ((transferOutpoint.height >>> 0) !== transferOutpoint.height) { throw new Error('Transfer height is required to check the lockup.') }
+
+      if (height < transferOutpoint.height + network.names.transferLockup) { throw new Error('Transfer is still locked up.') }
+    }
+
+    const rawName = Buffer.from(name, 'ascii')
+    const nameHash = this.hashName(rawName)
+
+    // The address must match the one committed to in the TRANSFER.
+    const output = new Output()
+    output.address = toAddress
+    output.value = transferOutpoint.value
+    output.covenant.type = types.FINALIZE
+    output.covenant.pushHash(nameHash)
+    output.covenant.pushU32(transferOutpoint.start)
+    output.covenant.push(rawName)
+    output.covenant.pushU8(flags)
+    output.covenant.pushU32(claimed)
+    output.covenant.pushU32(renewals)
+    output.covenant.pushHash(toHash(renewalBlockHash))
+
+    return output
+  }
+
+  makeRevoke (name, nameOutpoint) {
+    if (!verifyString(name)) { throw new Error('Invalid name.') }
+
+    const rawName = Buffer.from(name, 'ascii')
+    const nameHash = this.hashName(rawName)
+
+    const output = new Output()
+    output.address = toCoin(nameOutpoint, this.getKeyRing().getAddress()).address
+    output.value = nameOutpoint.value
+    output.covenant.type = types.REVOKE
+    output.covenant.pushHash(nameHash)
+    output.covenant.pushU32(nameOutpoint.start)
+
+    return output
+  }
+
+  createClaimRecord (name, fee, commitHash, commitHeight) {
+    if (!verifyString(name)) { throw new Error('Invalid name.') }
+
+    const item = reserved.getByName(name)
+
+    if (!item) { throw new Error('Name is not reserved.') }
+
+    if (fee > item.value) { throw new Error('Fee exceeds the claim value.') }
+
+    const network = Network.get(this._network)
+    const address = Address.fromString(this.getAddress())
+
+    return ownership.createData(address, fee, toHash(commitHash), commitHeight, network)
+  }
+
+  claimName (proof, height, { anchors, time = util.now() } = {}) {
+    const network = Network.get(this._network)
+
+    if (!(proof instanceof ownership.Proof)) { proof = ownership.Proof.decode(toHash(proof)) }
+
+    if (!proof.isSane()) { throw new Error('Ownership proof is malformed.') }
+
+    if (!proof.verifySignatures(anchors)) { throw new Error('Ownership proof does not verify against the root keys.') }
+
+    if (!proof.verifyTimes(time)) { throw new Error('Ownership proof signatures are not valid at this time.') }
+
+    const data = proof.getData(network)
+
+    if (!data) { throw new Error(`No valid ${network.claimPrefix} record found for ${proof.getTarget()}`) }
+
+    const nameHash = this.hashName(data.name)
+
+    if (!isReserved(nameHash, height, network)) { throw new Error('Name is not reserved.') }
+
+    const claim = Claim.fromProof(proof)
+    const tx = claim.toTX(network, height)
+
+    return {
+      name: data.name,
+      target: data.target,
+      hash: claim.hashHex(),
+      blob: claim.toBlob().toString('base64'),
+      value: data.value,
+      fee: data.fee,
+      weak: data.weak,
+      output: tx.outputs[1]
+    }
+  }
+
+  generateLinkedTransaction (linked, output, utxos = [], fee, changeAddress, options) {
+    const mtx = new MTX()
+
+    // The linked input must sit at the same index as its covenant output.
+    mtx.addCoin(toCoin(linked, this.getKeyRing().getAddress()))
+    mtx.addOutput(output)
+
+    return this.fundTransaction(mtx, utxos, fee, changeAddress, options)
+  }
+
+  fundTransaction (mtx, utxos = [], fee, changeAddress, options = {}) {
+    const address = this.getKeyRing().getAddress()
+    const coins = utxos.map(utxo => toCoin(utxo, address))
+
+    if (!changeAddress && options.changeIndex != null) { changeAddress = this.getChangeAddress(options.changeIndex) }
+
+    mtx.fund(coins, {
+      network: this._network,
+      ...options,
+      fee,
+      changeAddress: changeAddress ? Address.fromString(changeAddress) : address
     })
 
-    const raw = transaction.encode()
-    const txid = transaction.txid()
+    return this.completeTransaction(mtx)
+  }
+
+  generateTransaction (utxos, outputs) {
+    const mtx = new MTX()
+    const address = this.getKeyRing().getAddress()
+
+    for (const utxo of utxos) { mtx.addCoin(toCoin(utxo, address)) }
+
+    for (const output of outputs) { mtx.addOutput(output) }
+
+    return this.completeTransaction(mtx)
+  }
+
+  completeTransaction (mtx) {
+    if (this.isWatchOnly()) { return this.exportTransaction(mtx) }
+
+    return this.signTransaction(mtx)
+  }
+
+  signTransaction (mtx, rings = [this.getKeyRing()]) {
+    if (this.isWatchOnly()) { throw new Error('Watch-only wallet cannot sign: export the transaction and sign it offline.') }
+
+    mtx.sign(rings)
+
+    // Catch bad signatures before they reach the network.
+    mtx.check()
+
+    const tx = mtx.toTX()
 
     return {
-      hex: raw.toString('hex'),
-      txid
+      hex: tx.toHex(),
+      txid: tx.txid()
+    }
+  }
+
+  // Unsigned, with everything an offline signer needs. Witnesses are
+  // not part of the txid, so it already matches the signed transaction.
+  exportTransaction (mtx) {
+    const network = Network.get(this._network)
+    const account = this._accountKey || this._seed ? this.getAccount() : null
+    const tx = mtx.toTX()
+
+    const coins = mtx.inputs.map((input) => {
+      const coin = mtx.view.getCoinFor(input)
+      if (!coin) { throw new Error('Cannot export a transaction without its coins.') }
+      return coin
+    })
+
+    return {
+      hex: tx.toHex(),
+      txid: tx.txid(),
+      coins: coins.map(coin => coin.getJSON(network)),
+      paths: coins.map((coin) => {
+        const item = account ? account.getAddressPath(coin.address) : null
+        return item ? item.path : null
+      })
+    }
+  }
+
+  signExported ({ hex, coins, paths = [] }) {
+    if (this.isWatchOnly()) { throw new Error('Watch-only wallet cannot sign: export the transaction and sign it offline.') }
+
+    const network = Network.get(this._network)
+    const mtx = MTX.fromTX(decode(hex))
+
+    for (const json of coins) { mtx.view.addCoin(Coin.fromJSON(json, network)) }
+
+    const rings = [this.getKeyRing()]
+
+    for (const path of new Set(paths.filter(Boolean))) {
+      if (!this._seed) { throw new Error('Signing by path requires a seed.') }
+
+      const { privateKey } = HDPrivateKey.fromSeed(this._seed).derivePath(path)
+      rings.push(KeyRing.fromPrivate(privateKey))
     }
+
+    return this.signTransaction(mtx, rings)
+  }
+}
+
+function parseWIF (wif, network) {
+  const ring = KeyRing.fromSecret(wif, network)
+
+  if (network == null) { network = Network.fromWIF(base58.decode(wif)[0]).type }
+
+  return {
+    privateKey: ring.privateKey,
+    publicKey: ring.publicKey,
+    network
+  }
+}
+
+// Receive address of the first account, on the network's coin type.
+function getDefaultPath (network) {
+  return `${Account.getAccountPath(network, 0)}/0/0`
+}
+
+function getNonceIndex (value) {
+  const hi = (value * (1 / 0x100000000)) >>> 0
+  const lo = value >>> 0
+  return (hi ^ lo) & 0x7fffffff
+}
+
+// The value can never exceed the lockup.
+function getCandidates (candidates, lockup) {
+  if (Array.isArray(candidates)) {
+    if (candidates.length > MAX_BID_CANDIDATES) { throw new Error(`Too many bid candidates: at most ${MAX_BID_CANDIDATES} can be tried at once.`) }
+
+    return candidates.filter(value => value <= lockup)
+  }
+
+  const { min = 0, max = lockup } = candidates
+
+  assert(util.isU64(min), 'Candidate min must be a uint64.')
+  assert(util.isU64(max), 'Candidate max must be a uint64.')
+  assert(min <= max, 'Candidate min must not exceed max.')
+
+  const end = Math.min(max, lockup)
+
+  if (end - min + 1 > MAX_BID_CANDIDATES) { throw new Error(`Too many bid candidates: at most ${MAX_BID_CANDIDATES} can be tried at once.`) }
+
+  const values = []
+
+  for (let value = min; value <= end; value++) { values.push(value) }
+
+  return values
+}
+
+// Plain `{hash, index, value}` utxos are assumed to pay to our own key.
+function toCoin (utxo, address) {
+  if (utxo instanceof Coin) { return utxo }
+
+  const coin = new Coin({
+    hash: toHash(utxo.hash),
+    index: utxo.index,
+    value: utxo.value,
+    height: utxo.height != null ? utxo.height : -1,
+    coinbase: Boolean(utxo.coinbase),
+    address: utxo.address ? Address.fromString(utxo.address) : address
+  })
+
+  if (utxo.covenant) { coin.covenant.fromJSON(utxo.covenant) }
+
+  return coin
+}
+
+function toHash (hash) {
+  if (Buffer.isBuffer(hash)) { return hash }
+  return Buffer.from(hash, 'hex')
+}
+
+function isUnique (covenant) {
+  switch (covenant.type) {
+    case types.BID:
+    case types.REVEAL:
+    case types.REDEEM:
+      return false
+    default:
+      return covenant.isName()
   }
 }
 
+function encodeResource (resource) {
+  if (!resource) { return EMPTY }
+
+  if (!(resource instanceof Resource.Resource)) { resource = Resource.Resource.fromJSON(resource) }
+
+  if (resource.getSize(new Map()) > MAX_RESOURCE_SIZE) { throw new Error('Resource exceeds maximum size.') }
+
+  return resource.encode()
+}
 
 HandshakeJS.hashStringToAddress = function (str) {
   const Addr = Address.fromHash(Buffer.from(str, 'hex'))
@@ -189,8 +954,26 @@ HandshakeJS.hashStringToAddress = function (str) {
 }
 
 HandshakeJS.Tx = Tx
+HandshakeJS.MTX = MTX
+HandshakeJS.FundingError = MTX.FundingError
+HandshakeJS.Coin = Coin
+HandshakeJS.CoinView = CoinView
+HandshakeJS.KeyRing = KeyRing
+HandshakeJS.hd = hd
+HandshakeJS.HDPrivateKey = hd.PrivateKey
+HandshakeJS.HDPublicKey = hd.PublicKey
+HandshakeJS.Account = Account
+HandshakeJS.SigCache = SigCache
 HandshakeJS.Address = Address
 HandshakeJS.Covenant = Covenant
+HandshakeJS.NameState = NameState
+HandshakeJS.Claim = Claim
+HandshakeJS.Bid = Bid
 HandshakeJS.Resource = Resource
+HandshakeJS.auction = auction
+HandshakeJS.decodeTransaction = decode
+HandshakeJS.describe = describe
+HandshakeJS.checkOpen = checkOpen
+HandshakeJS.verifyCovenants = verifyCovenants
 
 module.exports = HandshakeJS
@@ -363,9 +363,9 @@ class Address extends bio.Struct {
       case 0:
         return this.hash.length !== 20 && this.hash.length !== 32
       case 31:
-        return true
+        return false
     }
-    return false
+    return true
   }
 
   /**
@@ -0,0 +1,277 @@
+/*!
+ * bid.js - blind bid record
+ */
+
+'use strict'
+
+const assert = require('bsert')
+const bio = require('bufio')
+const sha3 = require('bcrypto/lib/sha3')
+const consensus = require('../protocol/consensus')
+const util = require('../utils/util')
+const Address = require('./address')
+const Outpoint = require('./outpoint')
+const { verifyString, createBlind } = require('../rule')
+
+/*
+ * Constants
+ */
+
+const EXPORT_VERSION = 0
+
+/**
+ * Bid
+ * Everything needed to reveal a blind bid: the
+ * revealed value and the nonce behind the blind.
+ * @alias module:primitives.Bid
+ * @property {String} name
+ * @property {Number} start
+ * @property {Amount} value
+ * @property {Amount} lockup
+ * @property {Hash} blind
+ * @property {Hash} nonce
+ * @property {Outpoint} prevout
+ * @property {Address} address
+ */
+
+class Bid extends bio.Struct {
+  /**
+   * Create a bid.
+   * @constructor
+   * @param {Object?} options
+   */
+
+  constructor (options) {
+    super()
+
+    this.name = ''
+    this.start = 0
+    this.value = 0
+    this.lockup = 0
+    this.blind = consensus.ZERO_HASH
+    this.nonce = consensus.ZERO_HASH
+    this.prevout = new Outpoint()
+    this.address = new Address()
+
+    if (options) { this.fromOptions(options) }
+  }
+
+  /**
+   * Inject properties from options object.
+   * @private
+   * @param {Object} options
+   */
+
+  fromOptions (options) {
+    assert(options, 'Bid data is required.')
+    assert(verifyString(options.name), 'Invalid name.')
+    assert((options.start >>> 0) === options.start, 'Start must be a uint32.')
+    assert(util.isU64(options.value), 'Value must be a uint64.')
+    assert(util.isU64(options.lockup), 'Lockup must be a uint64.')
+    assert(Buffer.isBuffer(options.blind) && options.blind.length === 32)
+    assert(Buffer.isBuffer(options.nonce) && options.nonce.length === 32)
+
+    this.name = options.name
+    this.start = options.start
+    this.value = options.value
+    this.lockup = options.lockup
+    this.blind = options.blind
+    this.nonce = options.nonce
+
+    if (options.prevout) { this.prevout = Outpoint.fromOptions(options.prevout) }
+
+    if (options.address) { this.address = Address.fromOptions(options.address) }
+
+    return this
+  }
+
+  /**
+   * Get the name hash.
+   * @returns {Hash}
+   */
+
+  getNameHash () {
+    return sha3.digest(Buffer.from(this.name, 'ascii'))
+  }
+
+  /**
+   * Test whether the value and nonce open the blind.
+   * @returns {Boolean}
+   */
+
+  verify () {
+    if (this.value > this.lockup) { return false }
+
+    return createBlind(this.value, this.nonce).equals(this.blind)
+  }
+
+  /**
+   * Calculate serialization size.
+   * @returns {Number}
+   */
+
+  getSize () {
+    return 1 + this.name.length + 4 + 8 + 8 + 32 + 32 + 36 + this.address.getSize()
+  }
+
+  /**
+   * Write the bid to a buffer writer.
+   * @param {BufferWriter} bw
+   */
+
+  write (bw) {
+    bw.writeU8(this.name.length)
+    bw.writeString(this.name, 'ascii')
+    bw.writeU32(this.start)
+    bw.writeU64(this.value)
+    bw.writeU64(this.lockup)
+    bw.writeHash(this.blind)
+    bw.writeHash(this.nonce)
+    this.prevout.write(bw)
+    this.address.write(bw)
+    return bw
+  }
+
+  /**
+   * Inject properties from buffer reader.
+   * @private
+   * @param {BufferReader} br
+   */
+
+  read (br) {
+    this.name = br.readString(br.readU8(), 'ascii')
+    this.start = br.readU32()
+    this.value = br.readU64()
+    this.lockup = br.readU64()
+    this.blind = br.readHash()
+    this.nonce = br.readHash()
+    this.prevout.read(br)
+    this.address.read(br)
+    return this
+  }
+
+  /**
+   * Inject properties from a JSON object.
+   * @private
+   * @param {Object} json
+   */
+
+  fromJSON (json) {
+    assert(json, 'Bid data is required.')
+    assert(verifyString(json.name), 'Invalid name.')
+    assert((json.start >>> 0) === json.start, 'Start must be a uint32.')
+    assert(util.isU64(json.value), 'Value must be a uint64.')
+    assert(util.isU64(json.lockup), 'Lockup must be a uint64.')
+
+    this.name = json.name
+    this.start = json.start
+    this.value = json.value
+    this.lockup = json.lockup
+    this.blind = util.parseHex(json.blind, 32)
+    this.nonce = util.parseHex(json.nonce, 32)
+
+    if (json.prevout != null) { this.prevout.fromJSON(json.prevout) }
+
+    if (json.address != null) { this.address.fromString(json.address) }
+
+    return this
+  }
+
+  /**
+   * Convert the bid to an object suitable
+   * for JSON serialization.
+   * @param {Network?} network
+   * @returns {Object}
+   */
+
+  getJSON (network) {
+    return {
+      name: this.name,
+      nameHash: this.getNameHash().toString('hex'),
+      start: this.start,
+      value: this.value,
+      lockup: this.lockup,
+      blind: this.blind.toString('hex'),
+      nonce: this.nonce.toString('hex'),
+      prevout: this.prevout.getJSON(),
+      address: this.address.isNull() ? null : this.address.toString(network)
+    }
+  }
+
+  /**
+   * Serialize a list of bids, sorted by name hash then
+   * prevout, so the same bids always export the same.
+   * @param {Bid[]} bids
+   * @returns {String}
+   */
+
+  static exportBids (bids) {
+    assert(Array.isArray(bids))
+
+    const sorted = bids.slice().sort((a, b) => {
+      const cmp = a.getNameHash().compare(b.getNameHash())
+
+      if (cmp !== 0) { return cmp }
+
+      return a.prevout.compare(b.prevout)
+    })
+
+    let size = 1 + bio.sizeVarint(sorted.length)
+
+    for (const bid of sorted) { size += bid.getSize() }
+
+    const bw = bio.write(size)
+
+    bw.writeU8(EXPORT_VERSION)
+    bw.writeVarint(sorted.length)
+
+    for (const bid of sorted) { bid.write(bw) }
+
+    return bw.render().toString('hex')
+  }
+
+  /**
+   * Parse bids exported with `exportBids`.
+   * @param {String|Buffer} data
+   * @returns {Bid[]}
+   */
+
+  static importBids (data) {
+    if (typeof data === 'string') { data = util.parseHex(data) }
+
+    const br = bio.read(data)
+
+    if (br.readU8() !== EXPORT_VERSION) { throw new Error('Unknown bid export version.') }
+
+    const count = br.readVarint()
+    const bids = []
+
+    for (let i = 0; i < count; i++) {
+      const bid = this.read(br)
+
+      if (!bid.verify()) { throw new Error(`Bid blind does not match value and nonce: "${bid.name}".`) }
+
+      bids.push(bid)
+    }
+
+    if (br.left() !== 0) { throw new Error('Trailing data.') }
+
+    return bids
+  }
+
+  /**
+   * Test an object to see if it is a Bid.
+   * @param {Object} obj
+   * @returns {Boolean}
+   */
+
+  static isBid (obj) {
+    return obj instanceof Bid
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = Bid
@@ -0,0 +1,289 @@
+/*!
+ * claim.js - claim object for hsd
+ * Copyright (c) 2017-2018, Christopher Jeffrey (MIT License).
+ * https://github.com/handshake-org/hsd
+ */
+
+'use strict'
+
+const assert = require('bsert')
+const bio = require('bufio')
+const blake2b = require('bcrypto/lib/blake2b')
+const sha3 = require('bcrypto/lib/sha3')
+const consensus = require('../protocol/consensus')
+const policy = require('../protocol/policy')
+const ownership = require('../covenants/ownership')
+const TX = require('./tx')
+const Input = require('./input')
+const Output = require('./output')
+const { types } = require('./covenant')
+const { OwnershipProof } = ownership
+
+/*
+ * Constants
+ */
+
+const EMPTY = Buffer.alloc(0)
+
+/**
+ * Claim
+ * A DNSSEC ownership proof for a reserved name,
+ * relayed as a blob and mined into the coinbase.
+ * @alias module:primitives.Claim
+ * @property {Buffer} blob
+ */
+
+class Claim extends bio.Struct {
+  /**
+   * Create a claim.
+   * @constructor
+   */
+
+  constructor () {
+    super()
+
+    this.blob = EMPTY
+
+    this._hash = null
+    this._data = null
+  }
+
+  /**
+   * Clear any cached values.
+   */
+
+  refresh () {
+    this._hash = null
+    this._data = null
+    return this
+  }
+
+  /**
+   * Hash the claim blob.
+   * @returns {Hash}
+   */
+
+  hash () {
+    if (!this._hash) { this._hash = blake2b.digest(this.blob) }
+
+    return this._hash
+  }
+
+  /**
+   * Get the claim hash as a hex string.
+   * @returns {String}
+   */
+
+  hashHex () {
+    return this.hash().toString('hex')
+  }
+
+  /**
+   * Get the claim commitment from the proof.
+   * @param {Network} network
+   * @returns {ProofData|null}
+   */
+
+  getData (network) {
+    if (!this._data) {
+      const proof = this.getProof()
+
+      if (!proof) { return null }
+
+      const data = proof.getData(network)
+
+      if (!data) { return null }
+
+      this._data = data
+    }
+
+    return this._data
+  }
+
+  /**
+   * Calculate serialization size.
+   * @returns {Number}
+   */
+
+  getSize () {
+    return 2 + this.blob.length
+  }
+
+  /**
+   * Write the claim to a buffer writer.
+   * @param {BufferWriter} bw
+   */
+
+  write (bw) {
+    bw.writeU16(this.blob.length)
+    bw.writeBytes(this.blob)
+    return bw
+  }
+
+  /**
+   * Inject properties from serialized data.
+   * @private
+   * @param {Buffer} data
+   */
+
+  decode (data) {
+    const br = bio.read(data)
+
+    if (data.length > 2 + 10000) { throw new Error('Proof too large.') }
+
+    this.read(br)
+
+    if (br.left() !== 0) { throw new Error('Trailing data.') }
+
+    return this
+  }
+
+  /**
+   * Inject properties from buffer reader.
+   * @private
+   * @param {BufferReader} br
+   */
+
+  read (br) {
+    const size = br.readU16()
+
+    if (size > 10000) { throw new Error('Invalid claim size.') }
+
+    this.blob = br.readBytes(size)
+
+    return this
+  }
+
+  getWeight () {
+    return this.getSize()
+  }
+
+  getVirtualSize () {
+    const scale = consensus.WITNESS_SCALE_FACTOR
+    return (this.getWeight() + scale - 1) / scale | 0
+  }
+
+  getMinFee (size, rate) {
+    if (size == null) { size = this.getVirtualSize() }
+
+    return policy.getMinFee(size, rate)
+  }
+
+  getFee (network) {
+    const data = this.getData(network)
+    assert(data)
+    return data.fee
+  }
+
+  getRate (size, network) {
+    const fee = this.getFee(network)
+
+    if (size == null) { size = this.getVirtualSize() }
+
+    return policy.getRate(size, fee)
+  }
+
+  /**
+   * Convert the claim to the coinbase
+   * transaction it will be mined as.
+   * @param {Network} network
+   * @param {Number} height - Height of the block it is mined in.
+   * @returns {TX}
+   */
+
+  toTX (network, height) {
+    const data = this.getData(network)
+    assert(data)
+
+    const tx = new TX()
+
+    tx.inputs.push(new Input())
+    tx.outputs.push(new Output())
+
+    const input = new Input()
+    input.witness.items.push(this.blob)
+
+    const output = new Output()
+
+    output.value = data.value - data.fee
+
+    output.address.version = data.version
+    output.address.hash = data.hash
+
+    let flags = 0
+
+    if (data.weak) { flags |= 1 }
+
+    output.covenant.type = types.CLAIM
+    output.covenant.pushHash(sha3.digest(Buffer.from(data.name, 'ascii')))
+    output.covenant.pushU32(height)
+    output.covenant.pushString(data.name)
+    output.covenant.pushU8(flags)
+    output.covenant.pushHash(data.commitHash)
+    output.covenant.pushU32(data.commitHeight)
+
+    tx.inputs.push(input)
+    tx.outputs.push(output)
+
+    tx.refresh()
+
+    return tx
+  }
+
+  getProof () {
+    try {
+      return this.toProof()
+    } catch (e) {
+      return new OwnershipProof()
+    }
+  }
+
+  toProof () {
+    return OwnershipProof.decode(this.blob)
+  }
+
+  toBlob () {
+    return this.blob
+  }
+
+  getJSON () {
+    const proof = this.getProof()
+    return proof.toJSON()
+  }
+
+  fromBlob (blob) {
+    assert(Buffer.isBuffer(blob))
+    this.blob = blob
+    return this
+  }
+
+  fromProof (proof) {
+    assert(proof instanceof OwnershipProof)
+    this.blob = proof.encode()
+    return this
+  }
+
+  static fromBlob (blob) {
+    return new this().fromBlob(blob)
+  }
+
+  static fromProof (proof) {
+    return new this().fromProof(proof)
+  }
+
+  /**
+   * Test whether an object is a Claim.
+   * @param {Object} obj
+   * @returns {Boolean}
+   */
+
+  static isClaim (obj) {
+    return obj instanceof Claim
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = Claim
@@ -0,0 +1,412 @@
+/*!
+ * keyring.js - keyring object for hsd
+ * Copyright (c) 2017-2018, Christopher Jeffrey (MIT License).
+ * https://github.com/handshake-org/hsd
+ */
+
+'use strict'
+
+const assert = require('bsert')
+const bio = require('bufio')
+const base58 = require('bcrypto/lib/encoding/base58')
+const blake2b = require('bcrypto/lib/blake2b')
+const hash256 = require('bcrypto/lib/hash256')
+const secp256k1 = require('bcrypto/lib/secp256k1')
+const Network = require('../protocol/network')
+const Script = require('../script/script')
+const Address = require('./address')
+const Output = require('./output')
+
+/**
+ * Key Ring
+ * Represents a key ring which amounts to an address.
+ * Only pay-to-pubkeyhash (witness version 0) is supported.
+ * @alias module:primitives.KeyRing
+ * @property {Buffer} privateKey
+ * @property {Buffer} publicKey
+ */
+
+class KeyRing extends bio.Struct {
+  /**
+   * Create a key ring.
+   * @constructor
+   * @param {Object?} options
+   */
+
+  constructor (options) {
+    super()
+
+    this.publicKey = Buffer.alloc(33, 0x00)
+    this.privateKey = null
+
+    this._keyHash = null
+    this._address = null
+
+    if (options) { this.fromOptions(options) }
+  }
+
+  /**
+   * Inject properties from options object.
+   * @private
+   * @param {Object} options
+   */
+
+  fromOptions (options) {
+    assert(options, 'Keyring data is required.')
+
+    if (options.privateKey) { return this.fromPrivate(options.privateKey) }
+
+    return this.fromPublic(options.publicKey)
+  }
+
+  /**
+   * Clear cached key/script hashes.
+   */
+
+  refresh () {
+    this._keyHash = null
+    this._address = null
+    return this
+  }
+
+  /**
+   * Inject data from private key.
+   * @private
+   * @param {Buffer} key
+   */
+
+  fromPrivate (key) {
+    assert(Buffer.isBuffer(key), 'Private key must be a buffer.')
+    assert(secp256k1.privateKeyVerify(key), 'Not a valid private key.')
+
+    this.privateKey = key
+    this.publicKey = secp256k1.publicKeyCreate(key, true)
+
+    return this.refresh()
+  }
+
+  /**
+   * Instantiate keyring from a private key.
+   * @param {Buffer} key
+   * @returns {KeyRing}
+   */
+
+  static fromPrivate (key) {
+    return new this().fromPrivate(key)
+  }
+
+  /**
+   * Inject data from public key.
+   * @private
+   * @param {Buffer} key
+   */
+
+  fromPublic (key) {
+    assert(Buffer.isBuffer(key), 'Public key must be a buffer.')
+    assert(secp256k1.publicKeyVerify(key) && key.length === 33,
+      'Not a valid public key.')
+
+    this.privateKey = null
+    this.publicKey = key
+
+    return this.refresh()
+  }
+
+  /**
+   * Instantiate keyring from a public key.
+   * @param {Buffer} publicKey
+   * @returns {KeyRing}
+   */
+
+  static fromPublic (key) {
+    return new this().fromPublic(key)
+  }
+
+  /**
+   * Get the size of a WIF key, without base58.
+   * @returns {Number}
+   */
+
+  getSecretSize () {
+    return 1 + 32 + 1 + 4
+  }
+
+  /**
+   * Convert key to a WIF string, always with
+   * the compression flag: only compressed
+   * public keys are supported.
+   * @param {(Network|NetworkType)?} network
+   * @returns {Base58String}
+   */
+
+  toSecret (network) {
+    assert(this.privateKey, 'Cannot serialize without private key.')
+
+    network = Network.get(network)
+
+    const bw = bio.write(this.getSecretSize())
+
+    bw.writeU8(network.keyPrefix.privkey)
+    bw.writeBytes(this.privateKey)
+    bw.writeU8(1)
+    bw.writeChecksum(hash256.digest)
+
+    return base58.encode(bw.render())
+  }
+
+  /**
+   * Inject properties from a WIF string.
+   * @private
+   * @param {Base58String} data
+   * @param {(Network|NetworkType)?} network
+   * @throws on a key for another network.
+   */
+
+  fromSecret (data, network) {
+    assert(typeof data === 'string', 'WIF key must be a string.')
+
+    const br = bio.read(base58.decode(data), true)
+
+    const version = br.readU8()
+
+    Network.fromWIF(version, network)
+
+    const key = br.readBytes(32)
+
+    if (br.left() !== 5) { throw new Error('Uncompressed WIF keys are not supported.') }
+
+    if (br.readU8() !== 1) { throw new Error('Bad compression flag.') }
+
+    br.verifyChecksum(hash256.digest)
+
+    return this.fromPrivate(key)
+  }
+
+  /**
+   * Instantiate a keyring from a WIF string.
+   * @param {Base58String} data
+   * @param {(Network|NetworkType)?} network
+   * @returns {KeyRing}
+   */
+
+  static fromSecret (data, network) {
+    return new this().fromSecret(data, network)
+  }
+
+  /**
+   * Generate a keyring.
+   * @returns {KeyRing}
+   */
+
+  static generate () {
+    return this.fromPrivate(secp256k1.privateKeyGenerate())
+  }
+
+  /**
+   * Get public key.
+   * @param {String?} enc - `"hex"` or `null`.
+   * @returns {Buffer}
+   */
+
+  getPublicKey (enc) {
+    if (enc === 'hex') { return this.publicKey.toString('hex') }
+
+    return this.publicKey
+  }
+
+  /**
+   * Get private key.
+   * @param {String?} enc - `"hex"` or `null`.
+   * @returns {Buffer} Private key.
+   */
+
+  getPrivateKey (enc) {
+    if (!this.privateKey) { return null }
+
+    if (enc === 'hex') { return this.privateKey.toString('hex') }
+
+    return this.privateKey
+  }
+
+  /**
+   * Get public key hash.
+   * @param {String?} enc - `"hex"` or `null`.
+   * @returns {Hash}
+   */
+
+  getKeyHash (enc) {
+    if (!this._keyHash) { this._keyHash = blake2b.digest(this.publicKey, 20) }
+
+    return enc === 'hex'
+      ? this._keyHash.toString('hex')
+      : this._keyHash
+  }
+
+  /**
+   * Get the script signed for this key, the p2pkh
+   * script implied by the witness program.
+   * @returns {Script}
+   */
+
+  getPrevScript () {
+    return Script.fromPubkeyhash(this.getKeyHash())
+  }
+
+  /**
+   * Get address.
+   * @param {(Network|NetworkType)?} network
+   * @returns {Address|String}
+   */
+
+  getAddress (network) {
+    if (!this._address) { this._address = Address.fromPubkey(this.publicKey) }
+
+    if (network) { return this._address.toString(Network.get(network)) }
+
+    return this._address
+  }
+
+  /**
+   * Test an address hash against the key hash.
+   * @param {Hash} hash
+   * @returns {Boolean}
+   */
+
+  ownHash (hash) {
+    if (!hash) { return false }
+
+    return hash.equals(this.getKeyHash())
+  }
+
+  /**
+   * Check whether transaction output belongs to this address.
+   * @param {TX|Output} tx - Transaction or Output.
+   * @param {Number?} index - Output index.
+   * @returns {Boolean}
+   */
+
+  ownOutput (tx, index) {
+    let output
+
+    if (tx instanceof Output) {
+      output = tx
+    } else {
+      output = tx.outputs[index]
+      assert(output, 'Output does not exist.')
+    }
+
+    return output.address.isPubkeyhash() &&
+      this.ownHash(output.address.hash)
+  }
+
+  /**
+   * Sign a message.
+   * @param {Buffer} msg
+   * @returns {Buffer} Signature in DER format.
+   */
+
+  sign (msg) {
+    assert(this.privateKey, 'Cannot sign without private key.')
+    return secp256k1.sign(msg, this.privateKey)
+  }
+
+  /**
+   * Verify a message.
+   * @param {Buffer} msg
+   * @param {Buffer} sig - Signature in DER format.
+   * @returns {Boolean}
+   */
+
+  verify (msg, sig) {
+    return secp256k1.verify(msg, sig, this.publicKey)
+  }
+
+  /**
+   * Inspect keyring.
+   * @returns {Object}
+   */
+
+  format () {
+    return this.getJSON()
+  }
+
+  /**
+   * Convert an KeyRing to a more json-friendly object.
+   * @param {(Network|NetworkType)?} network
+   * @returns {Object}
+   */
+
+  getJSON (network) {
+    return {
+      publicKey: this.publicKey.toString('hex'),
+      address: this.getAddress(network || Network.primary)
+    }
+  }
+
+  /**
+   * Inject properties from json object.
+   * @private
+   * @param {Object} json
+   */
+
+  fromJSON (json) {
+    assert(json)
+    assert(typeof json.publicKey === 'string')
+
+    return this.fromPublic(Buffer.from(json.publicKey, 'hex'))
+  }
+
+  /**
+   * Calculate serialization size.
+   * @returns {Number}
+   */
+
+  getSize () {
+    return 1 + (this.privateKey ? 32 : 33)
+  }
+
+  /**
+   * Write the keyring to a buffer writer.
+   * @param {BufferWriter} bw
+   */
+
+  write (bw) {
+    if (this.privateKey) {
+      bw.writeU8(1)
+      bw.writeBytes(this.privateKey)
+    } else {
+      bw.writeU8(0)
+      bw.writeBytes(this.publicKey)
+    }
+
+    return bw
+  }
+
+  /**
+   * Inject properties from buffer reader.
+   * @private
+   * @param {BufferReader} br
+   */
+
+  read (br) {
+    if (br.readU8() === 1) { return this.fromPrivate(br.readBytes(32)) }
+
+    return this.fromPublic(br.readBytes(33))
+  }
+
+  /**
+   * Test whether an object is a KeyRing.
+   * @param {Object} obj
+   * @returns {Boolean}
+   */
+
+  static isKeyRing (obj) {
+    return obj instanceof KeyRing
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = KeyRing
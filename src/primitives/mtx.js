@@ -0,0 +1,1259 @@
+/*!
+ * mtx.js - mutable transaction object for hsd
+ * Copyright (c) 2017-2018, Christopher Jeffrey (MIT License).
+ * https://github.com/handshake-org/hsd
+ */
+
+'use strict'
+
+const assert = require('bsert')
+const random = require('bcrypto/lib/random')
+const util = require('../utils/util')
+const consensus = require('../protocol/consensus')
+const Network = require('../protocol/network')
+const policy = require('../protocol/policy')
+const CoinView = require('../coins/coinview')
+const TX = require('./tx')
+const Input = require('./input')
+const Output = require('./output')
+const Address = require('./address')
+const Amount = require('./amount')
+const Coin = require('./coin')
+const Outpoint = require('./outpoint')
+const KeyRing = require('./keyring')
+
+/**
+ * MTX
+ * A mutable transaction object.
+ * @alias module:primitives.MTX
+ * @extends TX
+ * @property {Number} changeIndex
+ * @property {CoinView} view
+ */
+
+class MTX extends TX {
+  /**
+   * Create a mutable transaction.
+   * @alias module:primitives.MTX
+   * @constructor
+   * @param {Object?} options
+   */
+
+  constructor (options) {
+    super()
+
+    this.mutable = true
+    this.changeIndex = -1
+    this.view = new CoinView()
+
+    if (options) { this.fromOptions(options) }
+  }
+
+  /**
+   * Inject properties from options object.
+   * @private
+   * @param {Object} options
+   */
+
+  fromOptions (options) {
+    if (options.version != null) {
+      assert((options.version >>> 0) === options.version,
+        'Version must be a uint32.')
+      this.version = options.version
+    }
+
+    if (options.inputs) {
+      assert(Array.isArray(options.inputs), 'Inputs must be an array.')
+      for (const input of options.inputs) { this.addInput(input) }
+    }
+
+    if (options.outputs) {
+      assert(Array.isArray(options.outputs), 'Outputs must be an array.')
+      for (const output of options.outputs) { this.addOutput(output) }
+    }
+
+    if (options.locktime != null) {
+      assert((options.locktime >>> 0) === options.locktime,
+        'Locktime must be a uint32.')
+      this.locktime = options.locktime
+    }
+
+    if (options.changeIndex != null) {
+      if (options.changeIndex !== -1) {
+        assert((options.changeIndex >>> 0) === options.changeIndex,
+          'Change index must be a uint32.')
+        this.changeIndex = options.changeIndex
+      } else {
+        this.changeIndex = -1
+      }
+    }
+
+    if (options.view) {
+      assert(options.view instanceof CoinView)
+      this.view = options.view
+    }
+
+    return this
+  }
+
+  /**
+   * Clone the transaction. Note that
+   * this will not carry over the view.
+   * @returns {MTX}
+   */
+
+  clone () {
+    const mtx = new this.constructor()
+    mtx.inject(this)
+    mtx.changeIndex = this.changeIndex
+    return mtx
+  }
+
+  /**
+   * Add an input to the transaction.
+   * @param {Input|Object} options
+   * @returns {Input}
+   *
+   * @example
+   * mtx.addInput({ prevout: { hash: ..., index: 0 } })
+   */
+
+  addInput (options) {
+    const input = Input.fromOptions(options)
+    this.inputs.push(input)
+    return input
+  }
+
+  /**
+   * Add an outpoint as an input.
+   * @param {Outpoint|Object} outpoint
+   * @returns {Input}
+   */
+
+  addOutpoint (outpoint) {
+    const prevout = Outpoint.fromOptions(outpoint)
+    const input = Input.fromOutpoint(prevout)
+    this.inputs.push(input)
+    return input
+  }
+
+  /**
+   * Add a coin as an input. Note that this will
+   * add the coin to the internal coin viewpoint.
+   * @param {Coin} coin
+   * @returns {Input}
+   */
+
+  addCoin (coin) {
+    assert(coin instanceof Coin, 'Cannot add non-coin.')
+
+    const input = Input.fromCoin(coin)
+
+    this.inputs.push(input)
+    this.view.addCoin(coin)
+
+    return input
+  }
+
+  /**
+   * Add a transaction output as an input. Note that
+   * this will add the coin to the internal coin viewpoint.
+   * @param {TX} tx
+   * @param {Number} index
+   * @param {Number?} height
+   * @returns {Input}
+   */
+
+  addTX (tx, index, height) {
+    assert(tx instanceof TX, 'Cannot add non-transaction.')
+
+    if (height == null) { height = -1 }
+
+    const input = Input.fromTX(tx, index)
+
+    this.inputs.push(input)
+
+    this.view.addIndex(tx, index, height)
+
+    return input
+  }
+
+  /**
+   * Add an output.
+   * @param {Address|Output|Object} address - Address, output
+   * or output options (which may carry a covenant).
+   * @param {Amount?} value
+   * @returns {Output}
+   *
+   * @example
+   * mtx.addOutput(address, 5460)
+   * mtx.addOutput({ address, value: 0, covenant: { type, items } })
+   */
+
+  addOutput (address, value) {
+    let output
+
+    if (value != null) { output = Output.fromScript(address, value) } else { output = Output.fromOptions(address) }
+
+    this.outputs.push(output)
+
+    return output
+  }
+
+  /**
+   * Get the previous output of an input.
+   * @param {Number} index - Input index.
+   * @returns {Coin|null}
+   */
+
+  getCoinFor (index) {
+    assert(index >= 0 && index < this.inputs.length)
+    return this.view.getCoinFor(this.inputs[index])
+  }
+
+  /**
+   * Build the input witness for a coin, leaving the
+   * signature slot empty. Only pay-to-pubkeyhash
+   * coins can be templated.
+   * @param {Number} index - Input index.
+   * @param {Coin|Output} coin
+   * @param {KeyRing} ring
+   * @returns {Boolean} Whether the input was templated.
+   */
+
+  scriptInput (index, coin, ring) {
+    const input = this.inputs[index]
+
+    assert(input, 'Input does not exist.')
+    assert(coin, 'No coin passed.')
+
+    // Already has a witness template (at least).
+    if (input.witness.items.length > 0) { return true }
+
+    if (!ring.ownOutput(coin)) { return false }
+
+    input.witness.items = [Buffer.alloc(0), ring.getPublicKey()]
+
+    return true
+  }
+
+  /**
+   * Sign an input.
+   * @param {Number} index - Index of input being signed.
+   * @param {Coin|Output} coin
+   * @param {KeyRing} ring
+   * @param {SighashType?} type
+   * @returns {Boolean} Whether the input was able to be signed.
+   */
+
+  signInput (index, coin, ring, type) {
+    const input = this.inputs[index]
+
+    assert(input, 'Input does not exist.')
+    assert(coin, 'No coin passed.')
+
+    if (!ring.privateKey) { return false }
+
+    if (!ring.ownOutput(coin)) { return false }
+
+    const { witness } = input
+
+    if (witness.items.length !== 2 || !witness.items[1].equals(ring.getPublicKey())) { return false }
+
+    const prev = ring.getPrevScript()
+    const sig = this.signature(index, prev, coin.value, ring.privateKey, type)
+
+    witness.items[0] = sig
+
+    return true
+  }
+
+  /**
+   * Template and sign every input owned by the keyrings.
+   * Inputs whose coins are not in the view are skipped.
+   * @param {KeyRing|KeyRing[]} ring
+   * @param {SighashType?} type
+   * @returns {Number} Number of inputs signed.
+   */
+
+  sign (ring, type) {
+    const rings = Array.isArray(ring) ? ring : [ring]
+    let total = 0
+
+    for (const ring of rings) { assert(ring instanceof KeyRing, 'Ring must be a keyring.') }
+
+    for (let i = 0; i < this.inputs.length; i++) {
+      const coin = this.view.getOutputFor(this.inputs[i])
+
+      if (!coin) { continue }
+
+      for (const ring of rings) {
+        if (!this.scriptInput(i, coin, ring)) { continue }
+
+        if (this.signInput(i, coin, ring, type)) {
+          total += 1
+          break
+        }
+      }
+    }
+
+    return total
+  }
+
+  /**
+   * Test whether an input is fully signed.
+   * @param {Number} index
+   * @param {Coin|Output?} coin
+   * @returns {Boolean}
+   */
+
+  isInputSigned (index, coin) {
+    const input = this.inputs[index]
+
+    assert(input, 'Input does not exist.')
+
+    if (!coin) { coin = this.view.getOutputFor(input) }
+
+    if (!coin) { return false }
+
+    if (!coin.address.isPubkeyhash()) { return false }
+
+    const [sig, key] = input.witness.getPubkeyhashInput()
+
+    return sig !== null && sig.length > 0 && key !== null
+  }
+
+  /**
+   * Test whether every input is fully signed.
+   * @returns {Boolean}
+   */
+
+  isSigned () {
+    if (this.inputs.length === 0) { return false }
+
+    for (let i = 0; i < this.inputs.length; i++) {
+      if (!this.isInputSigned(i)) { return false }
+    }
+
+    return true
+  }
+
+  /**
+   * Estimate the virtual size of the transaction once
+   * signed, counting a pay-to-pubkeyhash witness for
+   * every input which is not signed yet.
+   * @returns {Number} vsize
+   */
+
+  estimateSize () {
+    const scale = consensus.WITNESS_SCALE_FACTOR
+
+    const base = this.getBaseSize()
+    let witness = 0
+
+    for (let i = 0; i < this.inputs.length; i++) {
+      const input = this.inputs[i]
+
+      if (this.isInputSigned(i)) {
+        witness += input.witness.getVarSize()
+        continue
+      }
+
+      // varint-items-len + sig + key
+      witness += 1
+      witness += 1 + 65
+      witness += 1 + 33
+    }
+
+    const weight = base * scale + witness
+
+    return (weight + scale - 1) / scale | 0
+  }
+
+  /**
+   * Calculate the minimum fee, sized
+   * as if the transaction was signed.
+   * @param {Number?} size
+   * @param {Rate?} rate
+   * @returns {Amount}
+   */
+
+  getMinFee (size, rate) {
+    if (size == null) { size = this.estimateSize() }
+
+    return super.getMinFee(size, rate)
+  }
+
+  /**
+   * Calculate the minimum fee rounded to the
+   * kB, sized as if the transaction was signed.
+   * @param {Number?} size
+   * @param {Rate?} rate
+   * @returns {Amount}
+   */
+
+  getRoundFee (size, rate) {
+    if (size == null) { size = this.estimateSize() }
+
+    return super.getRoundFee(size, rate)
+  }
+
+  /**
+   * Calculate the fee for the transaction.
+   * @returns {Amount} fee (zero if not all coins are available).
+   */
+
+  getFee () {
+    return super.getFee(this.view)
+  }
+
+  /**
+   * Calculate the total input value.
+   * @returns {Amount} value
+   */
+
+  getInputValue () {
+    return super.getInputValue(this.view)
+  }
+
+  /**
+   * Get all input addresses.
+   * @returns {Address[]} addresses
+   */
+
+  getInputAddresses () {
+    return super.getInputAddresses(this.view)
+  }
+
+  /**
+   * Get all addresses.
+   * @returns {Address[]} addresses
+   */
+
+  getAddresses () {
+    return super.getAddresses(this.view)
+  }
+
+  /**
+   * Get all input address hashes.
+   * @returns {Hash[]} hashes
+   */
+
+  getInputHashes () {
+    return super.getInputHashes(this.view)
+  }
+
+  /**
+   * Get all address hashes.
+   * @returns {Hash[]} hashes
+   */
+
+  getHashes () {
+    return super.getHashes(this.view)
+  }
+
+  /**
+   * Test whether the transaction has
+   * all coins available/filled.
+   * @returns {Boolean}
+   */
+
+  hasCoins () {
+    return super.hasCoins(this.view)
+  }
+
+  /**
+   * Calculate sigops.
+   * @returns {Number}
+   */
+
+  getSigops () {
+    return super.getSigops(this.view)
+  }
+
+  /**
+   * Inspect the transaction.
+   * @returns {Object}
+   */
+
+  format () {
+    return super.format(this.view)
+  }
+
+  /**
+   * Convert the transaction to an object suitable
+   * for JSON serialization.
+   * @param {Network?} network
+   * @returns {Object}
+   */
+
+  getJSON (network) {
+    return super.getJSON(network, this.view)
+  }
+
+  /**
+   * Verify all transaction inputs against the coins in the view.
+   * @param {VerifyFlags?} [flags=STANDARD_VERIFY_FLAGS]
+   * @param {SigCache?} sigcache
+   * @throws {ScriptError} on invalid inputs
+   */
+
+  check (flags, sigcache) {
+    return super.check(this.view, flags, sigcache)
+  }
+
+  /**
+   * Verify all transaction inputs against the coins in the view.
+   * @param {VerifyFlags?} [flags=STANDARD_VERIFY_FLAGS]
+   * @param {SigCache?} sigcache
+   * @returns {Boolean} Whether the inputs are valid.
+   */
+
+  verify (flags, sigcache) {
+    try {
+      this.check(flags, sigcache)
+    } catch (e) {
+      if (e.type === 'ScriptError') { return false }
+      throw e
+    }
+    return true
+  }
+
+  /**
+   * Select coins to cover the outputs and the fee.
+   * The chosen coins are added as inputs.
+   * @param {Coin[]} coins
+   * @param {Object?} options
+   * @returns {CoinSelector}
+   */
+
+  selectCoins (coins, options) {
+    const selector = new CoinSelector(this, options)
+
+    selector.select(coins)
+
+    return selector
+  }
+
+  /**
+   * Select coins and add a change output.
+   * Inputs already in the transaction (e.g. linked
+   * name coins) count towards the total.
+   * @param {Coin[]} coins
+   * @param {Object} options
+   * @param {Address} options.changeAddress
+   * @param {String?} options.selection - `value`, `age`,
+   * `random`, `bnb` or `all`.
+   * @param {Amount?} options.fee - Fixed fee, otherwise
+   * it is estimated from the signed size.
+   * @param {Rate?} options.rate - Rate of dollarydoo per kB,
+   * defaults to the network's minimum relay rate.
+   * @param {Boolean?} options.round - Round the size up to the kB.
+   * @param {Rate?} options.maxFeeRate - Absurd fee rate,
+   * defaults to the network's.
+   * @param {(Boolean|Number|Number[])?} options.subtractFee - Take
+   * the fee out of the outputs rather than adding inputs for it:
+   * `true` for every output, or the indexes of the outputs paying it.
+   * @param {Number?} options.height - Current chain height.
+   * @param {Number?} options.depth - Minimum confirmations.
+   * @param {(Network|NetworkType)?} options.network
+   * @returns {CoinSelector}
+   */
+
+  fund (coins, options) {
+    assert(options, 'Options are required.')
+    assert(options.changeAddress, 'Change address is required.')
+
+    const select = this.selectCoins(coins, options)
+
+    for (const coin of select.chosen) { this.addCoin(coin) }
+
+    if (select.subtractFee) {
+      // Whatever the inputs leave over beyond the
+      // change already goes towards the fee.
+      const left = this.getInputValue() - this.getOutputValue() - select.change
+
+      this.subtractFee(Math.max(0, select.fee - left), select.subtractIndex, select.rate)
+    }
+
+    // Exact match, or the change was folded into the fee.
+    if (select.change === 0) { return select }
+
+    const output = new Output()
+
+    output.address = Address.fromOptions(options.changeAddress)
+    output.value = select.change
+
+    this.outputs.push(output)
+    this.changeIndex = this.outputs.length - 1
+
+    return select
+  }
+
+  /**
+   * Take a fee out of the outputs, in proportion to their value.
+   * @param {Amount} fee
+   * @param {Number[]?} index - Outputs paying the fee,
+   * defaults to every output without a covenant.
+   * @param {Rate?} rate - Rate used for the dust threshold.
+   */
+
+  subtractFee (fee, index, rate) {
+    assert(util.isU64(fee), 'Fee must be a uint64.')
+
+    if (!index || index.length === 0) {
+      index = []
+
+      for (let i = 0; i < this.outputs.length; i++) {
+        if (i !== this.changeIndex && this.outputs[i].covenant.isNone()) { index.push(i) }
+      }
+    }
+
+    if (index.length === 0) { throw new Error('No outputs to subtract fee from.') }
+
+    let total = 0
+
+    for (const i of index) {
+      if (i >= this.outputs.length) { throw new Error('Subtraction index does not exist.') }
+
+      total += this.outputs[i].value
+    }
+
+    let left = fee
+
+    for (let j = 0; j < index.length; j++) {
+      const output = this.outputs[index[j]]
+
+      // The last output takes the rounding remainder.
+      const share = j === index.length - 1
+        ? left
+        : Math.floor(fee * (output.value / total))
+
+      if (output.value < share + output.getDustThreshold(rate)) { throw new Error('Could not subtract fee.') }
+
+      output.value -= share
+      left -= share
+    }
+  }
+
+  /**
+   * Convert the MTX to a TX.
+   * @returns {TX}
+   */
+
+  toTX () {
+    return new TX().inject(this)
+  }
+
+  /**
+   * Instantiate MTX from TX.
+   * @param {TX} tx
+   * @returns {MTX}
+   */
+
+  static fromTX (tx) {
+    return new this().inject(tx)
+  }
+
+  /**
+   * Test whether an object is an MTX.
+   * @param {Object} obj
+   * @returns {Boolean}
+   */
+
+  static isMTX (obj) {
+    return obj instanceof MTX
+  }
+}
+
+/**
+ * Coin Selector
+ * @alias module:primitives.CoinSelector
+ */
+
+class CoinSelector {
+  /**
+   * Create a coin selector.
+   * @constructor
+   * @param {MTX} tx
+   * @param {Object?} options
+   */
+
+  constructor (tx, options) {
+    this.tx = tx.clone()
+    this.coins = []
+    this.outputValue = 0
+    this.index = 0
+    this.chosen = []
+    this.change = 0
+    this.fee = 0
+    this.exact = false
+
+    this.selection = 'value'
+    this.height = -1
+    this.depth = -1
+    this.coinbaseMaturity = 0
+    this.hardFee = -1
+    this.rate = 0
+    this.round = false
+    this.maxFeeRate = 0
+    this.subtractFee = false
+    this.subtractIndex = []
+    this.changeAddress = null
+
+    this.setNetwork(Network.get())
+
+    // Coins already spent by the transaction.
+    for (const input of tx.inputs) {
+      const coin = tx.view.getCoinFor(input)
+
+      if (coin) { this.tx.view.addCoin(coin) }
+    }
+
+    this.skipped = {
+      spent: 0,
+      locked: 0,
+      immature: 0,
+      unconfirmed: 0
+    }
+
+    if (options) { this.fromOptions(options) }
+  }
+
+  /**
+   * Initialize selector options.
+   * @param {Object} options
+   * @private
+   */
+
+  fromOptions (options) {
+    if (options.network != null) { this.setNetwork(Network.get(options.network)) }
+
+    if (options.selection) {
+      assert(typeof options.selection === 'string')
+      assert(CoinSelector.selections.includes(options.selection),
+        `Unknown selection: "${options.selection}".`)
+      this.selection = options.selection
+    }
+
+    if (options.height != null) {
+      assert(Number.isSafeInteger(options.height))
+      assert(options.height >= -1)
+      this.height = options.height
+    }
+
+    if (options.depth != null) {
+      assert(Number.isSafeInteger(options.depth))
+      assert(options.depth >= -1)
+      this.depth = options.depth
+    }
+
+    if (options.confirmations != null) {
+      assert(Number.isSafeInteger(options.confirmations))
+      assert(options.confirmations >= -1)
+      this.depth = options.confirmations
+    }
+
+    if (options.coinbaseMaturity != null) {
+      assert((options.coinbaseMaturity >>> 0) === options.coinbaseMaturity)
+      this.coinbaseMaturity = options.coinbaseMaturity
+    }
+
+    if (options.fee != null) {
+      assert(util.isU64(options.fee), 'Fee must be a uint64.')
+      this.hardFee = options.fee
+    }
+
+    if (options.rate != null) {
+      assert(util.isU64(options.rate), 'Rate must be a uint64.')
+      this.rate = options.rate
+    }
+
+    if (options.round != null) {
+      assert(typeof options.round === 'boolean')
+      this.round = options.round
+    }
+
+    if (options.maxFeeRate != null) {
+      assert(util.isU64(options.maxFeeRate), 'Max fee rate must be a uint64.')
+      this.maxFeeRate = options.maxFeeRate
+    }
+
+    if (options.subtractFee != null) {
+      if (typeof options.subtractFee === 'boolean') {
+        this.subtractFee = options.subtractFee
+      } else {
+        this.subtractIndex = toIndexes(options.subtractFee)
+        this.subtractFee = true
+      }
+    }
+
+    if (options.subtractIndex != null) {
+      this.subtractIndex = toIndexes(options.subtractIndex)
+      this.subtractFee = true
+    }
+
+    if (options.changeAddress) { this.changeAddress = Address.fromOptions(options.changeAddress) }
+
+    return this
+  }
+
+  /**
+   * Use the network's coinbase maturity, minimum
+   * relay rate and absurd fee rate.
+   * @private
+   * @param {Network} network
+   */
+
+  setNetwork (network) {
+    this.coinbaseMaturity = network.coinbaseMaturity
+    this.rate = network.minRelay
+    this.maxFeeRate = network.maxFeeRate
+    return this
+  }
+
+  /**
+   * Initialize the selector with coins to select from.
+   * @param {Coin[]} coins
+   */
+
+  init (coins) {
+    this.coins = []
+    this.outputValue = this.tx.getOutputValue()
+    this.index = 0
+    this.chosen = []
+    this.change = 0
+    this.fee = 0
+    this.exact = false
+
+    for (const key of Object.keys(this.skipped)) { this.skipped[key] = 0 }
+
+    for (const coin of coins) {
+      if (this.isSpendable(coin)) { this.coins.push(coin) }
+    }
+
+    switch (this.selection) {
+      case 'all':
+      case 'value':
+      case 'bnb':
+        this.coins.sort(sortValue)
+        break
+      case 'age':
+        this.coins.sort(sortAge)
+        break
+      case 'random':
+        shuffle(this.coins)
+        break
+    }
+  }
+
+  /**
+   * Calculate total value required.
+   * @returns {Amount}
+   */
+
+  total () {
+    if (this.subtractFee) { return this.outputValue }
+
+    return this.outputValue + this.fee
+  }
+
+  /**
+   * Test whether the selector has
+   * completely funded the transaction.
+   * @returns {Boolean}
+   */
+
+  isFull () {
+    return this.tx.getInputValue() >= this.total()
+  }
+
+  /**
+   * Test whether a coin is spendable
+   * with regards to the options, counting
+   * the reason when it is not.
+   * @param {Coin} coin
+   * @returns {Boolean}
+   */
+
+  isSpendable (coin) {
+    if (this.tx.view.hasEntry(coin)) {
+      this.skipped.spent += 1
+      return false
+    }
+
+    // Bids and registered names can only be spent by their
+    // covenant's linked output, which the caller adds itself.
+    // OPEN and REDEEM outputs are plain funds again.
+    if (coin.covenant.isNonspendable()) {
+      this.skipped.locked += 1
+      return false
+    }
+
+    if (this.height === -1) { return true }
+
+    if (coin.coinbase) {
+      if (coin.height === -1 ||
+          this.height + 1 < coin.height + this.coinbaseMaturity) {
+        this.skipped.immature += 1
+        return false
+      }
+
+      return true
+    }
+
+    if (this.depth === -1) { return true }
+
+    if (coin.getDepth(this.height) < this.depth) {
+      this.skipped.unconfirmed += 1
+      return false
+    }
+
+    return true
+  }
+
+  /**
+   * Select coins.
+   * @param {Coin[]} coins
+   */
+
+  select (coins) {
+    if (this.hardFee === -1) { this.checkRate(this.rate) }
+
+    this.init(coins)
+
+    if (this.selection !== 'bnb' || !this.selectExact()) {
+      // Size the transaction with its change output.
+      const change = new Output()
+      change.address = this.changeAddress || new Address()
+      this.tx.outputs.push(change)
+
+      if (this.hardFee !== -1) { this.selectHard() } else { this.selectEstimate() }
+    }
+
+    if (!this.isFull()) {
+      const available = this.tx.getInputValue() + this.getRemaining()
+
+      throw new FundingError(`Not enough funds${this.formatSkipped()}.`, available, this.total())
+    }
+
+    this.change = this.tx.getInputValue() - this.total()
+
+    // Whatever an exact match leaves over goes to the miner.
+    if (this.exact) {
+      this.fee += this.change
+      this.change = 0
+    }
+
+    // So does change too small to be worth spending.
+    if (this.change > 0) {
+      const change = new Output()
+      change.address = this.changeAddress || new Address()
+      change.value = this.change
+
+      if (change.isDust(this.rate)) {
+        this.fee += this.change
+        this.change = 0
+      }
+    }
+
+    this.checkRate(policy.getRate(this.tx.estimateSize(), this.fee))
+
+    return this
+  }
+
+  /**
+   * Fund the transaction with a fixed fee.
+   * @private
+   */
+
+  selectHard () {
+    this.fee = this.hardFee
+    this.fund()
+  }
+
+  /**
+   * Fund the transaction, re-estimating the fee from
+   * the signed size until adding inputs stops raising it.
+   * @private
+   */
+
+  selectEstimate () {
+    for (;;) {
+      this.fee = this.getFee(this.tx.estimateSize())
+
+      if (this.isFull() || this.index >= this.coins.length) { break }
+
+      this.fund()
+    }
+  }
+
+  /**
+   * Calculate the fee for a virtual size.
+   * @param {Number} size
+   * @returns {Amount}
+   */
+
+  getFee (size) {
+    if (this.hardFee !== -1) { return this.hardFee }
+
+    let fee
+
+    if (this.round) { fee = policy.getRoundFee(size, this.rate) } else { fee = policy.getMinFee(size, this.rate) }
+
+    return Math.min(fee, CoinSelector.MAX_FEE)
+  }
+
+  /**
+   * Refuse absurdly high fee rates.
+   * @private
+   * @param {Rate} rate
+   */
+
+  checkRate (rate) {
+    if (this.maxFeeRate === 0) { return }
+
+    if (rate > this.maxFeeRate) { throw new Error(`Absurdly high fee: ${rate} per kB exceeds the maximum of ${this.maxFeeRate}.`) }
+  }
+
+  /**
+   * Add coins in order until the transaction is funded.
+   * @private
+   */
+
+  fund () {
+    // Linked inputs may already cover the outputs.
+    if (this.isFull() && this.selection !== 'all') { return }
+
+    while (this.index < this.coins.length) {
+      const coin = this.coins[this.index++]
+
+      this.add(coin)
+
+      if (this.selection === 'all') { continue }
+
+      if (this.isFull()) { break }
+    }
+  }
+
+  /**
+   * Branch and bound: search for a set of coins which covers
+   * the target without leaving more than a dust change output.
+   * @private
+   * @returns {Boolean} Whether a match was found.
+   */
+
+  selectExact () {
+    const size = this.tx.estimateSize()
+    const funded = this.tx.getInputValue()
+
+    // Amount still missing once `count` inputs are added.
+    const getTarget = (count) => {
+      if (this.subtractFee) { return this.outputValue - funded }
+
+      return this.outputValue + this.getFee(size + count * INPUT_SIZE) - funded
+    }
+
+    if (getTarget(0) <= 0) {
+      this.fee = this.getFee(size)
+      this.exact = true
+      return true
+    }
+
+    const change = new Output()
+    change.address = this.changeAddress || new Address()
+
+    const tolerance = change.getDustThreshold(this.rate)
+    const values = this.coins.map(coin => coin.value)
+
+    // Suffix sums to prune branches which can never reach the target.
+    const remaining = new Array(values.length + 1).fill(0)
+
+    for (let i = values.length - 1; i >= 0; i--) { remaining[i] = remaining[i + 1] + values[i] }
+
+    const picked = []
+    let best = null
+    let tries = 0
+
+    const search = (depth, total) => {
+      if (tries++ >= BNB_MAX_TRIES) { return }
+
+      const target = getTarget(picked.length)
+
+      if (total >= target) {
+        if (total <= target + tolerance && (!best || total < best.total)) { best = { total, picked: picked.slice() } }
+        return
+      }
+
+      if (depth === values.length || total + remaining[depth] < target) { return }
+
+      picked.push(depth)
+      search(depth + 1, total + values[depth])
+      picked.pop()
+
+      search(depth + 1, total)
+    }
+
+    search(0, 0)
+
+    if (!best) { return false }
+
+    for (const i of best.picked) { this.add(this.coins[i]) }
+
+    this.fee = this.getFee(this.tx.estimateSize())
+    this.index = this.coins.length
+    this.exact = true
+
+    return true
+  }
+
+  /**
+   * Add a coin to the transaction.
+   * @private
+   * @param {Coin} coin
+   */
+
+  add (coin) {
+    this.tx.addCoin(coin)
+    this.chosen.push(coin)
+  }
+
+  /**
+   * Sum the spendable coins which were not chosen.
+   * @private
+   * @returns {Amount}
+   */
+
+  getRemaining () {
+    const chosen = new Set(this.chosen)
+    let total = 0
+
+    for (const coin of this.coins) {
+      if (!chosen.has(coin)) { total += coin.value }
+    }
+
+    return total
+  }
+
+  /**
+   * Describe the coins which were not considered.
+   * @private
+   * @returns {String}
+   */
+
+  formatSkipped () {
+    const reasons = []
+    const { spent, locked, immature, unconfirmed } = this.skipped
+
+    if (spent > 0) { reasons.push(`${spent} already spent`) }
+
+    if (locked > 0) { reasons.push(`${locked} name-locked`) }
+
+    if (immature > 0) { reasons.push(`${immature} immature coinbase`) }
+
+    if (unconfirmed > 0) { reasons.push(`${unconfirmed} unconfirmed`) }
+
+    if (reasons.length === 0) { return '' }
+
+    return `, skipped ${reasons.join(', ')}`
+  }
+}
+
+/**
+ * Available coin selection types.
+ * @const {String[]}
+ * @default
+ */
+
+CoinSelector.selections = ['all', 'value', 'age', 'random', 'bnb']
+
+/**
+ * Maximum fee the selector will estimate.
+ * @const {Amount}
+ * @default
+ */
+
+CoinSelector.MAX_FEE = consensus.COIN * 10
+
+/**
+ * Funding Error
+ * An error thrown from the coin selector.
+ * @ignore
+ * @extends Error
+ * @param {String} msg
+ * @param {Amount} available
+ * @param {Amount} required
+ * @property {String} message - Error message.
+ * @property {Amount} availableFunds
+ * @property {Amount} requiredFunds
+ */
+
+class FundingError extends Error {
+  constructor (msg, available, required) {
+    super()
+
+    this.type = 'FundingError'
+    this.message = msg
+    this.availableFunds = -1
+    this.requiredFunds = -1
+
+    if (available != null) {
+      this.message += ` (available=${Amount.coin(available)},`
+      this.message += ` required=${Amount.coin(required)})`
+      this.availableFunds = available
+      this.requiredFunds = required
+    }
+
+    if (Error.captureStackTrace) { Error.captureStackTrace(this, FundingError) }
+  }
+}
+
+/*
+ * Helpers
+ */
+
+const BNB_MAX_TRIES = 100000
+
+// Virtual size of a signed pay-to-pubkeyhash input, rounded up.
+const INPUT_SIZE = 66
+
+function sortAge (a, b) {
+  a = a.height === -1 ? 0x7fffffff : a.height
+  b = b.height === -1 ? 0x7fffffff : b.height
+  return a - b
+}
+
+function sortValue (a, b) {
+  if (a.value === b.value) { return sortAge(a, b) }
+
+  return b.value - a.value
+}
+
+function toIndexes (index) {
+  if (!Array.isArray(index)) { index = [index] }
+
+  for (const i of index) { assert((i >>> 0) === i, 'Subtraction index must be a uint32.') }
+
+  return index
+}
+
+function shuffle (items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = random.randomRange(0, i + 1)
+    const tmp = items[i]
+    items[i] = items[j]
+    items[j] = tmp
+  }
+
+  return items
+}
+
+/*
+ * Expose
+ */
+
+MTX.MTX = MTX
+MTX.CoinSelector = CoinSelector
+MTX.FundingError = FundingError
+
+module.exports = MTX
@@ -15,11 +15,14 @@ const util = require('../utils/util')
 const Amount = require('./amount')
 const Network = require('../protocol/network')
 const Script = require('../script/script')
+const ScriptError = require('../script/scripterror')
+const common = require('../script/common')
 const Input = require('./input')
 const Output = require('./output')
 const Outpoint = require('./outpoint')
 const consensus = require('../protocol/consensus')
 const policy = require('../protocol/policy')
+const rules = require('../rule')
 const { encoding } = bio
 const { hashType } = Script
 
@@ -386,6 +389,95 @@ class TX extends bio.Struct {
     return bw.render()
   }
 
+  /**
+   * Verify all transaction inputs.
+   * @param {CoinView} view
+   * @param {VerifyFlags?} [flags=STANDARD_VERIFY_FLAGS]
+   * @param {SigCache?} sigcache
+   * @throws {ScriptError} on invalid inputs
+   */
+
+  check (view, flags, sigcache) {
+    if (this.inputs.length === 0) { throw new ScriptError('UNKNOWN_ERROR', 'No inputs.') }
+
+    // Do not verify the coinbase.
+    if (this.isCoinbase()) { return }
+
+    for (let i = 0; i < this.inputs.length; i++) {
+      const { prevout } = this.inputs[i]
+      const coin = view.getOutput(prevout)
+
+      if (!coin) { throw new ScriptError('UNKNOWN_ERROR', 'No coin available.') }
+
+      this.checkInput(i, coin, flags, sigcache)
+    }
+  }
+
+  /**
+   * Verify a transaction input.
+   * @param {Number} index - Index of output being
+   * verified.
+   * @param {Coin|Output} coin - Previous output.
+   * @param {VerifyFlags} [flags=STANDARD_VERIFY_FLAGS]
+   * @param {SigCache?} sigcache
+   * @throws {ScriptError} on invalid input
+   */
+
+  checkInput (index, coin, flags, sigcache) {
+    const input = this.inputs[index]
+
+    assert(input, 'Input does not exist.')
+    assert(coin, 'No coin passed.')
+
+    Script.verify(
+      input.witness,
+      coin.address,
+      this,
+      index,
+      coin.value,
+      flags,
+      sigcache
+    )
+  }
+
+  /**
+   * Verify all transaction inputs.
+   * @param {CoinView} view
+   * @param {VerifyFlags?} [flags=STANDARD_VERIFY_FLAGS]
+   * @param {SigCache?} sigcache
+   * @returns {Boolean} Whether the inputs are valid.
+   */
+
+  verify (view, flags, sigcache) {
+    try {
+      this.check(view, flags, sigcache)
+    } catch (e) {
+      if (e.type === 'ScriptError') { return false }
+      throw e
+    }
+    return true
+  }
+
+  /**
+   * Verify a transaction input.
+   * @param {Number} index - Index of output being
+   * verified.
+   * @param {Coin|Output} coin - Previous output.
+   * @param {VerifyFlags} [flags=STANDARD_VERIFY_FLAGS]
+   * @param {SigCache?} sigcache
+   * @returns {Boolean} Whether the input is valid.
+   */
+
+  verifyInput (index, coin, flags, sigcache) {
+    try {
+      this.checkInput(index, coin, flags, sigcache)
+    } catch (e) {
+      if (e.type === 'ScriptError') { return false }
+      throw e
+    }
+    return true
+  }
+
   /**
    * Test whether the transaction is a coinbase
    * by examining the inputs.
@@ -396,6 +488,297 @@ class TX extends bio.Struct {
     return this.inputs.length > 0 && this.inputs[0].prevout.isNull()
   }
 
+  /**
+   * Test whether the transaction passes the
+   * non-contextual sanity checks.
+   * @returns {Boolean}
+   */
+
+  isSane () {
+    const [valid] = this.checkSanity()
+    return valid
+  }
+
+  /**
+   * Non-contextual sanity checks for the transaction.
+   * Will mostly verify coin and output values.
+   * @see https://github.com/bitcoin/bitcoin/blob/master/src/main.cpp
+   * @returns {Array} [valid, reason, score]
+   */
+
+  checkSanity () {
+    if (this.inputs.length === 0) { return [false, 'bad-txns-vin-empty', 100] }
+
+    if (this.outputs.length === 0) { return [false, 'bad-txns-vout-empty', 100] }
+
+    if (this.getBaseSize() > consensus.MAX_TX_SIZE) { return [false, 'bad-txns-oversize', 100] }
+
+    if (this.getWeight() > consensus.MAX_TX_WEIGHT) { return [false, 'bad-txns-oversize', 100] }
+
+    let total = 0
+
+    for (const output of this.outputs) {
+      if (output.value < 0) { return [false, 'bad-txns-vout-negative', 100] }
+
+      if (output.value > consensus.MAX_MONEY) { return [false, 'bad-txns-vout-toolarge', 100] }
+
+      total += output.value
+
+      if (total < 0 || total > consensus.MAX_MONEY) { return [false, 'bad-txns-txouttotal-toolarge', 100] }
+    }
+
+    if (!rules.hasSaneCovenants(this)) { return [false, 'bad-txns-covenants', 100] }
+
+    if (this.isCoinbase()) {
+      // Claims and airdrops are redeemed by
+      // null inputs paired with their outputs.
+      if (this.inputs.length > this.outputs.length) { return [false, 'bad-cb-length', 100] }
+
+      for (const input of this.inputs) {
+        if (!input.prevout.isNull()) { return [false, 'bad-cb-inputs', 100] }
+      }
+
+      return [true, 'valid', 0]
+    }
+
+    const prevout = new BufferSet()
+
+    for (const input of this.inputs) {
+      const key = input.prevout.toKey()
+
+      if (prevout.has(key)) { return [false, 'bad-txns-inputs-duplicate', 100] }
+
+      prevout.add(key)
+    }
+
+    for (const input of this.inputs) {
+      if (input.prevout.isNull()) { return [false, 'bad-txns-prevout-null', 10] }
+    }
+
+    return [true, 'valid', 0]
+  }
+
+  /**
+   * Non-contextual checks to determine whether the
+   * transaction has a standard version and size,
+   * and only standard, non-dust outputs.
+   * @returns {Boolean}
+   */
+
+  isStandard () {
+    const [valid] = this.checkStandard()
+    return valid
+  }
+
+  /**
+   * Check the transaction against the relay policy. With
+   * a view, the inputs, witnesses and sigops are checked too.
+   * @param {CoinView?} view
+   * @returns {Array} [valid, reason, score]
+   */
+
+  checkStandard (view) {
+    if (this.version > policy.MAX_TX_VERSION) { return [false, 'version', 0] }
+
+    if (this.getWeight() > policy.MAX_TX_WEIGHT) { return [false, 'tx-size', 0] }
+
+    let nulldata = 0
+
+    for (const output of this.outputs) {
+      if (output.address.isUnknown()) { return [false, 'address', 0] }
+
+      if (output.address.isNulldata()) {
+        nulldata += 1
+        continue
+      }
+
+      if (output.covenant.isUnknown()) { return [false, 'covenant', 0] }
+
+      if (output.isDust(policy.MIN_RELAY)) { return [false, 'dust', 0] }
+    }
+
+    if (nulldata > 1) { return [false, 'multi-op-return', 0] }
+
+    if (!view) { return [true, 'valid', 0] }
+
+    if (!this.hasStandardInputs(view)) { return [false, 'bad-txns-nonstandard-inputs', 0] }
+
+    if (!this.hasStandardWitness(view)) { return [false, 'bad-witness-nonstandard', 0] }
+
+    if (this.getSigops(view) > policy.MAX_TX_SIGOPS) { return [false, 'bad-txns-too-many-sigops', 0] }
+
+    return [true, 'valid', 0]
+  }
+
+  /**
+   * Test whether every coin being spent is standard:
+   * a known witness program whose script, if any,
+   * is standard and does not exceed the sigop limit.
+   * @param {CoinView} view
+   * @returns {Boolean}
+   */
+
+  hasStandardInputs (view) {
+    if (this.isCoinbase()) { return true }
+
+    for (const input of this.inputs) {
+      const coin = view.getOutputFor(input)
+
+      if (!coin) { return false }
+
+      const addr = coin.address
+
+      if (addr.isUnknown() || addr.isNulldata()) { return false }
+
+      if (addr.isScripthash()) {
+        const { items } = input.witness
+
+        if (items.length === 0) { return false }
+
+        const redeem = Script.decode(items[items.length - 1])
+
+        if (!redeem.isStandard()) { return false }
+
+        if (redeem.getSigops() > policy.MAX_TX_SIGOPS) { return false }
+      }
+    }
+
+    return true
+  }
+
+  /**
+   * Test whether every witness is standard: signatures
+   * and keys are well encoded, and pay-to-scripthash
+   * witnesses stay within the stack, push and size limits.
+   * @param {CoinView} view
+   * @returns {Boolean}
+   */
+
+  hasStandardWitness (view) {
+    if (this.isCoinbase()) { return true }
+
+    for (const input of this.inputs) {
+      const { items } = input.witness
+      const coin = view.getOutputFor(input)
+
+      if (!coin) { continue }
+
+      if (items.length === 0) { continue }
+
+      const addr = coin.address
+
+      if (addr.isPubkeyhash()) {
+        if (items.length !== 2) { return false }
+
+        if (!common.isSignatureEncoding(items[0])) { return false }
+
+        if (!common.isKeyEncoding(items[1])) { return false }
+
+        continue
+      }
+
+      if (addr.isScripthash()) {
+        if (items.length - 1 > policy.MAX_P2WSH_STACK) { return false }
+
+        for (let i = 0; i < items.length - 1; i++) {
+          if (items[i].length > policy.MAX_P2WSH_PUSH) { return false }
+        }
+
+        const raw = items[items.length - 1]
+
+        if (raw.length > policy.MAX_P2WSH_SIZE) { return false }
+
+        const redeem = Script.decode(raw)
+
+        if (redeem.isPubkey(true)) {
+          if (items.length - 1 !== 1) { return false }
+
+          if (!common.isSignatureEncoding(items[0])) { return false }
+
+          continue
+        }
+
+        if (redeem.isPubkeyhash(true)) {
+          if (items.length - 1 !== 2) { return false }
+
+          if (!common.isSignatureEncoding(items[0])) { return false }
+
+          if (!common.isKeyEncoding(items[1])) { return false }
+
+          continue
+        }
+
+        const [m] = redeem.getMultisig(true)
+
+        if (m !== -1) {
+          if (items.length - 1 !== m + 1) { return false }
+
+          if (items[0].length !== 0) { return false }
+
+          for (let i = 1; i < items.length - 1; i++) {
+            if (!common.isSignatureEncoding(items[i])) { return false }
+          }
+        }
+
+        continue
+      }
+
+      if (items.length > policy.MAX_P2WSH_STACK) { return false }
+    }
+
+    return true
+  }
+
+  /**
+   * Perform contextual checks to verify coin and input
+   * values, coinbase maturity and covenant linking.
+   * @param {CoinView} view
+   * @param {Number} height - Height at which the
+   * transaction is being spent.
+   * @param {(Network|NetworkType)?} network
+   * @returns {Array} [fee, reason, score]
+   */
+
+  checkInputs (view, height, network) {
+    assert(typeof height === 'number')
+    network = Network.get(network)
+
+    let total = 0
+
+    for (const { prevout } of this.inputs) {
+      const entry = view.getEntry(prevout)
+
+      if (!entry) { return [-1, 'bad-txns-inputs-missingorspent', 0] }
+
+      const coin = entry.output
+
+      if (entry.coinbase) {
+        if (entry.height === -1 || height - entry.height < network.coinbaseMaturity) { return [-1, 'bad-txns-premature-spend-of-coinbase', 0] }
+      }
+
+      if (coin.value < 0 || coin.value > consensus.MAX_MONEY) { return [-1, 'bad-txns-inputvalues-outofrange', 100] }
+
+      total += coin.value
+
+      if (total < 0 || total > consensus.MAX_MONEY) { return [-1, 'bad-txns-inputvalues-outofrange', 100] }
+    }
+
+    // Overflows already checked in `isSane()`.
+    const value = this.getOutputValue()
+
+    if (total < value) { return [-1, 'bad-txns-in-belowout', 100] }
+
+    const fee = total - value
+
+    if (fee < 0) { return [-1, 'bad-txns-fee-negative', 100] }
+
+    if (fee > consensus.MAX_MONEY) { return [-1, 'bad-txns-fee-outofrange', 100] }
+
+    if (!rules.verifyCovenants(this, view, height, network)) { return [-1, 'bad-txns-invalid-covenant', 100] }
+
+    return [fee, 'valid', 0]
+  }
+
   /**
    * Calculate the fee for the transaction.
    * @param {CoinView} view
@@ -1,5 +1,10 @@
+const assert = require('bsert')
 const bio = require('bufio')
 const blake2b = require('bcrypto/lib/blake2b')
+const sha3 = require('bcrypto/lib/sha3')
+const Network = require('./protocol/network')
+const consensus = require('./protocol/consensus')
+const reserved = require('./covenants/reserved')
 
 const blacklist = new Set([
   'example', // ICANN reserved
@@ -11,6 +16,8 @@ const blacklist = new Set([
 
 const MAX_NAME_SIZE = 63
 
+const MAX_RESOURCE_SIZE = 512
+
 const CHARSET = new Uint8Array([
   0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
   0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
@@ -56,6 +63,18 @@ function verifyString (str) {
   return true
 }
 
+function verifyName (name) {
+  assert(Buffer.isBuffer(name))
+
+  if (name.length === 0 || name.length > MAX_NAME_SIZE) { return false }
+
+  return verifyString(name.toString('binary'))
+}
+
+function hashName (name) {
+  return sha3.digest(name)
+}
+
 const types = {
   NONE: 0,
   CLAIM: 1,
@@ -79,8 +98,534 @@ function createBlind (value, nonce) {
   return blake2b.digest(bw.render())
 };
 
+function getRollout (nameHash, network) {
+  if (network.names.noRollout) { return [0, 0] }
+
+  // Modulo the hash by 52 to get week number.
+  const week = modBuffer(nameHash, 52)
+
+  // Multiply result by a number of blocks-per-week.
+  const height = week * network.names.rolloutInterval
+
+  // Add the auction start height to the rollout height.
+  return [network.names.auctionStart + height, week]
+}
+
+function hasRollout (nameHash, height, network) {
+  const [start] = getRollout(nameHash, network)
+  return height >= start
+}
+
+function isReserved (nameHash, height, network) {
+  if (network.names.noReserved) { return false }
+
+  if (height >= network.names.claimPeriod) { return false }
+
+  return reserved.has(nameHash)
+}
+
+function checkOpen (name, height, network) {
+  assert((height >>> 0) === height)
+  network = Network.get(network)
+
+  if (!verifyString(name)) { throw new Error(`Invalid name: "${name}".`) }
+
+  const nameHash = sha3.digest(Buffer.from(name, 'ascii'))
+
+  if (isReserved(nameHash, height, network)) {
+    throw new Error(`Name is reserved: "${name}" can only be claimed until height ${network.names.claimPeriod}.`)
+  }
+
+  const [start, week] = getRollout(nameHash, network)
+
+  if (height < start) {
+    throw new Error(`Name not yet available: "${name}" rolls out in week ${week}, at height ${start}.`)
+  }
+
+  return { nameHash, start, week }
+}
+
+function countOpens (tx) {
+  let total = 0
+
+  for (const { covenant } of tx.outputs) {
+    if (covenant.type === types.OPEN) { total += 1 }
+  }
+
+  return total
+}
+
+function countUpdates (tx) {
+  let total = 0
+
+  for (const { covenant } of tx.outputs) {
+    switch (covenant.type) {
+      case types.CLAIM:
+      case types.OPEN:
+      case types.UPDATE:
+      case types.TRANSFER:
+      case types.REVOKE:
+        total += 1
+        break
+    }
+  }
+
+  return total
+}
+
+function countRenewals (tx) {
+  let total = 0
+
+  for (const { covenant } of tx.outputs) {
+    switch (covenant.type) {
+      case types.REGISTER:
+      case types.RENEW:
+      case types.FINALIZE:
+        total += 1
+        break
+    }
+  }
+
+  return total
+}
+
+function hasSaneCovenants (tx) {
+  if (tx.isCoinbase()) {
+    // The first output is the reward, the rest
+    // can only be claims or airdrops.
+    for (let i = 0; i < tx.outputs.length; i++) {
+      const { covenant } = tx.outputs[i]
+
+      if (i === 0) {
+        if (covenant.type !== types.NONE || covenant.items.length !== 0) { return false }
+        continue
+      }
+
+      switch (covenant.type) {
+        case types.NONE: {
+          if (covenant.items.length !== 0) { return false }
+          break
+        }
+
+        case types.CLAIM: {
+          // Name hash, height, name, flags, commit hash and commit height.
+          if (covenant.items.length !== 6) { return false }
+
+          if (!hasNameHash(covenant) || covenant.items[1].length !== 4) { return false }
+
+          if (!verifyName(covenant.items[2])) { return false }
+
+          if (!hashName(covenant.items[2]).equals(covenant.items[0])) { return false }
+
+          if (covenant.items[3].length !== 1) { return false }
+
+          if (covenant.items[4].length !== 32) { return false }
+
+          if (covenant.items[5].length !== 4) { return false }
+
+          break
+        }
+
+        default: {
+          return false
+        }
+      }
+    }
+
+    return true
+  }
+
+  for (let i = 0; i < tx.outputs.length; i++) {
+    const { covenant } = tx.outputs[i]
+    const { items } = covenant
+
+    switch (covenant.type) {
+      case types.NONE: {
+        if (items.length !== 0) { return false }
+        break
+      }
+
+      case types.CLAIM: {
+        // Only mined in the coinbase.
+        return false
+      }
+
+      case types.OPEN: {
+        // Name hash, zero height and name.
+        if (items.length !== 3 || !hasNameHash(covenant)) { return false }
+
+        if (items[1].length !== 4 || bio.readU32(items[1], 0) !== 0) { return false }
+
+        if (!verifyName(items[2]) || !hashName(items[2]).equals(items[0])) { return false }
+
+        break
+      }
+
+      case types.BID: {
+        // Name hash, start height, name and blind.
+        if (items.length !== 4 || !hasNameHash(covenant)) { return false }
+
+        if (items[1].length !== 4) { return false }
+
+        if (!verifyName(items[2]) || !hashName(items[2]).equals(items[0])) { return false }
+
+        if (items[3].length !== 32) { return false }
+
+        break
+      }
+
+      case types.REVEAL: {
+        // Name hash, start height and nonce.
+        if (items.length !== 3 || !hasNameHash(covenant)) { return false }
+
+        if (items[1].length !== 4 || items[2].length !== 32) { return false }
+
+        break
+      }
+
+      case types.REDEEM:
+      case types.REVOKE: {
+        // Name hash and start height.
+        if (items.length !== 2 || !hasNameHash(covenant)) { return false }
+
+        if (items[1].length !== 4) { return false }
+
+        break
+      }
+
+      case types.REGISTER: {
+        // Name hash, start height, resource and renewal block hash.
+        if (items.length !== 4 || !hasNameHash(covenant)) { return false }
+
+        if (items[1].length !== 4) { return false }
+
+        if (items[2].length > MAX_RESOURCE_SIZE || items[3].length !== 32) { return false }
+
+        break
+      }
+
+      case types.UPDATE: {
+        // Name hash, start height and resource.
+        if (items.length !== 3 || !hasNameHash(covenant)) { return false }
+
+        if (items[1].length !== 4 || items[2].length > MAX_RESOURCE_SIZE) { return false }
+
+        break
+      }
+
+      case types.RENEW: {
+        // Name hash, start height and renewal block hash.
+        if (items.length !== 3 || !hasNameHash(covenant)) { return false }
+
+        if (items[1].length !== 4 || items[2].length !== 32) { return false }
+
+        break
+      }
+
+      case types.TRANSFER: {
+        // Name hash, start height, address version and address hash.
+        if (items.length !== 4 || !hasNameHash(covenant)) { return false }
+
+        if (items[1].length !== 4 || items[2].length !== 1) { return false }
+
+        if (items[2][0] > 31) { return false }
+
+        if (items[3].length < 2 || items[3].length > 40) { return false }
+
+        if (items[2][0] === 0 && items[3].length !== 20 && items[3].length !== 32) { return false }
+
+        break
+      }
+
+      case types.FINALIZE: {
+        // Name hash, start height, name, flags,
+        // claimed, renewals and renewal block hash.
+        if (items.length !== 7 || !hasNameHash(covenant)) { return false }
+
+        if (items[1].length !== 4) { return false }
+
+        if (!verifyName(items[2]) || !hashName(items[2]).equals(items[0])) { return false }
+
+        if (items[3].length !== 1 || items[4].length !== 4 || items[5].length !== 4) { return false }
+
+        if (items[6].length !== 32) { return false }
+
+        break
+      }
+
+      default: {
+        // Unknown covenants are left to future soft
+        // forks, but must still fit the script limits.
+        if (items.length > consensus.MAX_SCRIPT_STACK) { return false }
+
+        let size = 0
+
+        for (const item of items) {
+          if (item.length > consensus.MAX_SCRIPT_PUSH) { return false }
+
+          size += item.length
+        }
+
+        if (size > consensus.MAX_SCRIPT_SIZE) { return false }
+
+        break
+      }
+    }
+
+    // Name covenants other than OPEN and BID spend the matching input.
+    if (covenant.isLinked() && i >= tx.inputs.length) { return false }
+  }
+
+  return true
+}
+
+function verifyCovenants (tx, view, height, network) {
+  assert((height >>> 0) === height)
+  network = Network.get(network)
+
+  // Claims are proven by DNSSEC, not by the coins they spend.
+  if (tx.isCoinbase()) { return true }
+
+  for (let i = 0; i < tx.inputs.length; i++) {
+    const entry = view.getEntry(tx.inputs[i].prevout)
+    assert(entry, 'Coin not found.')
+
+    const coin = entry.output
+    const uc = coin.covenant
+
+    let output = null
+    let covenant = null
+
+    if (i < tx.outputs.length) {
+      output = tx.outputs[i]
+      covenant = output.covenant
+    }
+
+    switch (uc.type) {
+      case types.BID: {
+        // A bid can only be revealed, at its own value and nonce.
+        if (!covenant || !covenant.isReveal()) { return false }
+
+        if (!isSameName(uc, covenant)) { return false }
+
+        if (output.value > coin.value) { return false }
+
+        if (!createBlind(output.value, covenant.items[2]).equals(uc.items[3])) { return false }
+
+        break
+      }
+
+      case types.CLAIM: {
+        // A claim can only be registered.
+        if (!covenant || !covenant.isRegister()) { return false }
+
+        if (!isSameName(uc, covenant)) { return false }
+
+        if (!output.address.equals(coin.address)) { return false }
+
+        if (!checkRegisterValue(view, uc, output, coin)) { return false }
+
+        break
+      }
+
+      case types.REVEAL: {
+        // A reveal is either redeemed or, for the winner, registered.
+        if (!covenant || (!covenant.isRedeem() && !covenant.isRegister())) { return false }
+
+        if (!isSameName(uc, covenant)) { return false }
+
+        if (covenant.isRegister()) {
+          if (!output.address.equals(coin.address)) { return false }
+
+          if (!checkRegisterValue(view, uc, output, coin)) { return false }
+        }
+
+        break
+      }
+
+      case types.REGISTER:
+      case types.UPDATE:
+      case types.RENEW:
+      case types.FINALIZE: {
+        if (!covenant) { return false }
+
+        if (!covenant.isUpdate() &&
+            !covenant.isRenew() &&
+            !covenant.isTransfer() &&
+            !covenant.isRevoke()) { return false }
+
+        if (!isSameName(uc, covenant)) { return false }
+
+        if (output.value !== coin.value) { return false }
+
+        if (!output.address.equals(coin.address)) { return false }
+
+        break
+      }
+
+      case types.TRANSFER: {
+        // Cancelled with an update, kept alive with a renew,
+        // burned with a revoke, or finalized to the address
+        // committed to.
+        if (!covenant) { return false }
+
+        if (!covenant.isUpdate() &&
+            !covenant.isRenew() &&
+            !covenant.isRevoke() &&
+            !covenant.isFinalize()) { return false }
+
+        if (!isSameName(uc, covenant)) { return false }
+
+        if (output.value !== coin.value) { return false }
+
+        if (covenant.isFinalize()) {
+          if (entry.height === -1) { return false }
+
+          if (height < entry.height + network.names.transferLockup) { return false }
+
+          if (output.address.version !== uc.items[2][0]) { return false }
+
+          if (!output.address.hash.equals(uc.items[3])) { return false }
+        } else {
+          if (!output.address.equals(coin.address)) { return false }
+        }
+
+        break
+      }
+
+      case types.REVOKE: {
+        // Revoked names are burned for good.
+        return false
+      }
+
+      case types.NONE:
+      case types.OPEN:
+      case types.REDEEM: {
+        // Plain funds: only spent into funds, opens or bids.
+        if (!covenant) { break }
+
+        if (!covenant.isNone() && !covenant.isOpen() && !covenant.isBid()) { return false }
+
+        break
+      }
+
+      default: {
+        // Unknown covenants are left to future soft
+        // forks, but cannot be spent into a name.
+        if (covenant && covenant.isName()) { return false }
+
+        break
+      }
+    }
+  }
+
+  // Every linked output needs the matching covenant at its input.
+  for (let i = 0; i < tx.outputs.length; i++) {
+    const { covenant } = tx.outputs[i]
+
+    if (!covenant.isLinked()) { continue }
+
+    if (i >= tx.inputs.length) { return false }
+
+    const coin = view.getOutput(tx.inputs[i].prevout)
+    assert(coin, 'Coin not found.')
+
+    const uc = coin.covenant
+
+    switch (covenant.type) {
+      case types.REVEAL: {
+        if (!uc.isBid()) { return false }
+        break
+      }
+
+      case types.REDEEM: {
+        if (!uc.isReveal()) { return false }
+        break
+      }
+
+      case types.REGISTER: {
+        if (!uc.isReveal() && !uc.isClaim()) { return false }
+        break
+      }
+
+      case types.FINALIZE: {
+        if (!uc.isTransfer()) { return false }
+        break
+      }
+
+      case types.UPDATE:
+      case types.RENEW:
+      case types.REVOKE: {
+        if (!isOwned(uc) && !uc.isTransfer()) { return false }
+        break
+      }
+
+      case types.TRANSFER: {
+        if (!isOwned(uc)) { return false }
+        break
+      }
+    }
+  }
+
+  return true
+}
+
+// Registered and not mid-transfer: claims must be registered first.
+function isOwned (covenant) {
+  switch (covenant.type) {
+    case types.REGISTER:
+    case types.UPDATE:
+    case types.RENEW:
+    case types.FINALIZE:
+      return true
+  }
+
+  return false
+}
+
+// A vickrey auction: the name is registered at the second
+// price, known from the name state when the view holds it.
+// Without it, the value can at least not exceed the coin.
+function checkRegisterValue (view, uc, output, coin) {
+  const ns = view.getName(uc.items[0])
+
+  if (ns) { return output.value === ns.value }
+
+  return output.value <= coin.value
+}
+
+function isSameName (a, b) {
+  return a.items[0].equals(b.items[0]) && a.items[1].equals(b.items[1])
+}
+
+function hasNameHash (covenant) {
+  return covenant.items.length > 0 && covenant.items[0].length === 32
+}
+
+function modBuffer (buf, num) {
+  const p = 256 % num
+
+  let acc = 0
+
+  for (let i = 0; i < buf.length; i++) { acc = (p * acc + buf[i]) % num }
+
+  return acc
+}
+
 module.exports = {
+  MAX_RESOURCE_SIZE,
   verifyString,
+  verifyName,
+  hashName,
   types,
-  createBlind
+  createBlind,
+  getRollout,
+  hasRollout,
+  isReserved,
+  checkOpen,
+  countOpens,
+  countUpdates,
+  countRenewals,
+  hasSaneCovenants,
+  verifyCovenants
 }
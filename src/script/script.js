@@ -459,10 +459,11 @@ class Script extends bio.Struct {
    * @param {TX?} tx - Transaction being verified.
    * @param {Number?} index - Index of input being verified.
    * @param {Amount?} value - Previous output value.
+   * @param {SigCache?} sigcache - Cache of verified signatures.
    * @throws {ScriptError} Will be thrown on VERIFY failures.
    */
 
-  execute (stack, flags, tx, index, value) {
+  execute (stack, flags, tx, index, value, sigcache) {
     if (flags == null) { flags = Script.flags.STANDARD_VERIFY_FLAGS }
 
     if (this.raw.length > consensus.MAX_SCRIPT_SIZE) { throw new ScriptError('SCRIPT_SIZE') }
@@ -1039,7 +1040,7 @@ class Script extends bio.Struct {
               value,
               type
             )
-            res = checksig(hash, sig, key)
+            res = checksig(hash, sig, key, sigcache)
           }
 
           if (!res && (flags & Script.flags.VERIFY_NULLFAIL)) {
@@ -1110,7 +1111,7 @@ class Script extends bio.Struct {
                 type
               )
 
-              if (checksig(hash, sig, key)) {
+              if (checksig(hash, sig, key, sigcache)) {
                 isig += 1
                 m -= 1
               }
@@ -2088,10 +2089,11 @@ class Script extends bio.Struct {
    * @param {Number} index
    * @param {Amount} value
    * @param {VerifyFlags} flags
+   * @param {SigCache?} sigcache
    * @throws {ScriptError}
    */
 
-  static verify (witness, addr, tx, index, value, flags) {
+  static verify (witness, addr, tx, index, value, flags, sigcache) {
     if (flags == null) { flags = Script.flags.STANDARD_VERIFY_FLAGS }
 
     assert(addr.version <= 31)
@@ -2134,7 +2136,7 @@ class Script extends bio.Struct {
     }
 
     // Verify the redeem script.
-    redeem.execute(stack, flags, tx, index, value)
+    redeem.execute(stack, flags, tx, index, value, sigcache)
 
     // Verify the stack values.
     if (stack.length !== 1 || !stack.getBool(-1)) { throw new ScriptError('EVAL_FALSE') }
@@ -2284,10 +2286,13 @@ function validateSignature (sig, flags) {
  * @param {Buffer} msg - Signature hash.
  * @param {Buffer} sig
  * @param {Buffer} key
+ * @param {SigCache?} sigcache
  * @returns {Boolean}
  */
 
-function checksig (msg, sig, key) {
+function checksig (msg, sig, key, sigcache) {
+  if (sigcache) { return sigcache.verify(msg, sig.slice(0, -1), key) }
+
   return secp256k1.verify(msg, sig.slice(0, -1), key)
 }
 
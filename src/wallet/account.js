@@ -0,0 +1,456 @@
+/*!
+ * account.js - bip44 account
+ */
+
+'use strict'
+
+const assert = require('bsert')
+const bip39 = require('bip39')
+const { BufferMap } = require('buffer-map')
+const Network = require('../protocol/network')
+const Address = require('../primitives/address')
+const KeyRing = require('../primitives/keyring')
+const HDPrivateKey = require('../hd/private')
+const common = require('../hd/common')
+
+/*
+ * Constants
+ */
+
+const HARDENED = common.HARDENED
+
+/**
+ * Account
+ * A BIP44 account: `m/44'/coinType'/account'`, with a
+ * receive branch (0) and a change branch (1).
+ * @alias module:wallet.Account
+ * @property {HDPrivateKey|HDPublicKey} accountKey
+ * @property {Number} accountIndex
+ * @property {Number} receiveDepth - Receive addresses handed out.
+ * @property {Number} changeDepth - Change addresses handed out.
+ * @property {Number} lookahead - Addresses derived past the depth.
+ * @property {Network} network
+ */
+
+class Account {
+  /**
+   * Create an account.
+   * @constructor
+   * @param {Object} options
+   */
+
+  constructor (options) {
+    this.accountKey = null
+    this.accountIndex = 0
+    this.receiveDepth = 0
+    this.changeDepth = 0
+    this.lookahead = 10
+    this.network = Network.get()
+
+    // Address hash -> [branch, index], for every derived key.
+    this.paths = new BufferMap()
+    this.derived = [0, 0]
+
+    if (options) { this.fromOptions(options) }
+  }
+
+  /**
+   * Inject properties from options object.
+   * @private
+   * @param {Object} options
+   */
+
+  fromOptions (options) {
+    assert(options, 'Account data is required.')
+    assert(options.accountKey, 'Account key is required.')
+
+    this.accountKey = options.accountKey
+
+    if (options.network != null) { this.network = Network.get(options.network) }
+
+    if (options.accountIndex != null) {
+      assert((options.accountIndex >>> 0) === options.accountIndex)
+      assert(options.accountIndex < HARDENED, 'Account index must be below 2^31.')
+      this.accountIndex = options.accountIndex
+    }
+
+    if (options.receiveDepth != null) {
+      assert((options.receiveDepth >>> 0) === options.receiveDepth)
+      this.receiveDepth = options.receiveDepth
+    }
+
+    if (options.changeDepth != null) {
+      assert((options.changeDepth >>> 0) === options.changeDepth)
+      this.changeDepth = options.changeDepth
+    }
+
+    if (options.lookahead != null) {
+      assert((options.lookahead >>> 0) === options.lookahead)
+      this.lookahead = options.lookahead
+    }
+
+    this.syncDepth()
+
+    return this
+  }
+
+  /**
+   * Derive an account from a master seed.
+   * @param {Buffer} seed
+   * @param {Number} [accountIndex=0]
+   * @param {(Network|NetworkType)?} network
+   * @param {Object?} options
+   * @returns {Account}
+   */
+
+  static fromSeed (seed, accountIndex = 0, network, options) {
+    network = Network.get(network)
+
+    const master = HDPrivateKey.fromSeed(seed)
+    const accountKey = master.derivePath(this.getAccountPath(network, accountIndex))
+
+    return new this({ ...options, accountKey, accountIndex, network })
+  }
+
+  /**
+   * Derive an account from a mnemonic.
+   * @param {String} mnemonic
+   * @param {Number} [accountIndex=0]
+   * @param {(Network|NetworkType)?} network
+   * @param {Object?} options
+   * @returns {Account}
+   */
+
+  static fromMnemonic (mnemonic, accountIndex, network, options) {
+    return this.fromSeed(bip39.mnemonicToSeedSync(mnemonic), accountIndex, network, options)
+  }
+
+  /**
+   * Get the account derivation path.
+   * @returns {String}
+   */
+
+  getAccountPath () {
+    return Account.getAccountPath(this.network, this.accountIndex)
+  }
+
+  /**
+   * Get the derivation path of an account, the single
+   * source of the coin type for every wallet path.
+   * @param {(Network|NetworkType)?} network
+   * @param {Number} [accountIndex=0]
+   * @returns {String}
+   */
+
+  static getAccountPath (network, accountIndex = 0) {
+    network = Network.get(network)
+    return `m/44'/${network.keyPrefix.coinType}'/${accountIndex}'`
+  }
+
+  /**
+   * Get the derivation path of a key.
+   * @param {Number} branch - 0 for receive, 1 for change.
+   * @param {Number} index
+   * @returns {String}
+   */
+
+  getPath (branch, index) {
+    return `${this.getAccountPath()}/${branch}/${index}`
+  }
+
+  /**
+   * Get the extended private key of the account.
+   * @returns {String|null}
+   */
+
+  xprivkey () {
+    return this.accountKey.xprivkey(this.network)
+  }
+
+  /**
+   * Get the extended public key of the account.
+   * @returns {String}
+   */
+
+  xpubkey () {
+    return this.accountKey.xpubkey(this.network)
+  }
+
+  /**
+   * Derive a key ring on a branch.
+   * @param {Number} branch - 0 for receive, 1 for change.
+   * @param {Number} index
+   * @returns {KeyRing}
+   */
+
+  deriveKey (branch, index) {
+    assert(branch === 0 || branch === 1, 'Branch must be 0 or 1.')
+    assert((index >>> 0) === index && index < HARDENED, 'Index must be below 2^31.')
+
+    const key = this.accountKey.derive(branch).derive(index)
+
+    if (key.privateKey) { return KeyRing.fromPrivate(key.privateKey) }
+
+    return KeyRing.fromPublic(key.publicKey)
+  }
+
+  /**
+   * Derive a receive key.
+   * @param {Number} index
+   * @returns {KeyRing}
+   */
+
+  deriveReceive (index) {
+    return this.deriveKey(0, index)
+  }
+
+  /**
+   * Derive a change key.
+   * @param {Number} index
+   * @returns {KeyRing}
+   */
+
+  deriveChange (index) {
+    return this.deriveKey(1, index)
+  }
+
+  /**
+   * Get the current receive address: the first not handed out yet.
+   * @returns {String}
+   */
+
+  getReceiveAddress () {
+    return this.deriveReceive(this.receiveDepth).getAddress(this.network)
+  }
+
+  /**
+   * Get the current change address.
+   * @returns {String}
+   */
+
+  getChangeAddress () {
+    return this.deriveChange(this.changeDepth).getAddress(this.network)
+  }
+
+  /**
+   * Hand out a fresh receive address.
+   * @returns {String}
+   */
+
+  createReceive () {
+    const address = this.getReceiveAddress()
+    this.receiveDepth += 1
+    this.syncDepth()
+    return address
+  }
+
+  /**
+   * Hand out a fresh change address.
+   * @returns {String}
+   */
+
+  createChange () {
+    const address = this.getChangeAddress()
+    this.changeDepth += 1
+    this.syncDepth()
+    return address
+  }
+
+  /**
+   * Derive keys up to the lookahead on both
+   * branches, so their addresses can be found.
+   * @private
+   */
+
+  syncDepth () {
+    const depths = [this.receiveDepth, this.changeDepth]
+
+    for (const branch of [0, 1]) {
+      const target = depths[branch] + this.lookahead
+
+      for (let i = this.derived[branch]; i < target; i++) {
+        const ring = this.deriveKey(branch, i)
+        this.paths.set(ring.getKeyHash(), [branch, i])
+      }
+
+      this.derived[branch] = Math.max(this.derived[branch], target)
+    }
+  }
+
+  /**
+   * Find the branch and index of an address.
+   * @param {Address|String} address
+   * @returns {Object|null} `{branch, index, path}`
+   */
+
+  getAddressPath (address) {
+    if (typeof address === 'string') { address = Address.fromString(address, this.network) }
+
+    if (!address.isPubkeyhash()) { return null }
+
+    const item = this.paths.get(address.hash)
+
+    if (!item) { return null }
+
+    const [branch, index] = item
+
+    return { branch, index, path: this.getPath(branch, index) }
+  }
+
+  /**
+   * Test whether an address belongs to the account.
+   * @param {Address|String} address
+   * @returns {Boolean}
+   */
+
+  ownsAddress (address) {
+    return this.getAddressPath(address) !== null
+  }
+
+  /**
+   * Get the key ring of an address.
+   * @param {Address|String} address
+   * @returns {KeyRing|null}
+   */
+
+  getKeyRing (address) {
+    const item = this.getAddressPath(address)
+
+    if (!item) { return null }
+
+    return this.deriveKey(item.branch, item.index)
+  }
+
+  /**
+   * Get the key rings for the coins spent by a transaction.
+   * @param {MTX} mtx
+   * @returns {KeyRing[]}
+   */
+
+  getRings (mtx) {
+    const rings = []
+    const seen = new BufferMap()
+
+    for (const input of mtx.inputs) {
+      const coin = mtx.view.getOutputFor(input)
+
+      if (!coin || seen.has(coin.address.hash)) { continue }
+
+      const ring = this.getKeyRing(coin.address)
+
+      if (ring) {
+        seen.set(coin.address.hash, true)
+        rings.push(ring)
+      }
+    }
+
+    return rings
+  }
+
+  /**
+   * Sign every input spending a coin of the account.
+   * @param {MTX} mtx
+   * @returns {Number} Number of inputs signed.
+   */
+
+  sign (mtx) {
+    return mtx.sign(this.getRings(mtx))
+  }
+
+  /**
+   * Scan both branches for used addresses, stopping after
+   * `gapLimit` unused addresses in a row, and move the
+   * depths past the highest used index.
+   * @param {Function|Object} lookup - `(address, path) => Boolean`,
+   * sync or async, or an object with a `hasHistory` method.
+   * @param {Number} [gapLimit=20]
+   * @returns {Promise<Object>} Highest used indices, `{receive, change}`,
+   * -1 when a branch is unused.
+   */
+
+  async scan (lookup, gapLimit = 20) {
+    assert((gapLimit >>> 0) === gapLimit && gapLimit > 0, 'Gap limit must be positive.')
+
+    const hasHistory = getLookup(lookup)
+    const used = [-1, -1]
+
+    for (const branch of [0, 1]) {
+      let start = 0
+
+      // Check a whole gap at a time, until a window turns up empty.
+      for (;;) {
+        const jobs = []
+
+        for (let i = start; i < start + gapLimit; i++) {
+          const address = this.deriveKey(branch, i).getAddress(this.network)
+          jobs.push(hasHistory(address, this.getPath(branch, i)))
+        }
+
+        const results = await Promise.all(jobs)
+        const last = results.lastIndexOf(true)
+
+        if (last === -1) { break }
+
+        used[branch] = start + last
+        start = used[branch] + 1
+      }
+    }
+
+    const [receive, change] = used
+
+    this.receiveDepth = Math.max(this.receiveDepth, receive + 1)
+    this.changeDepth = Math.max(this.changeDepth, change + 1)
+    this.syncDepth()
+
+    return { receive, change }
+  }
+
+  /**
+   * Convert the account to an object suitable
+   * for JSON serialization.
+   * @returns {Object}
+   */
+
+  getJSON () {
+    return {
+      network: this.network.type,
+      accountIndex: this.accountIndex,
+      accountPath: this.getAccountPath(),
+      receiveDepth: this.receiveDepth,
+      changeDepth: this.changeDepth,
+      lookahead: this.lookahead,
+      accountKey: this.xpubkey(),
+      receiveAddress: this.getReceiveAddress(),
+      changeAddress: this.getChangeAddress()
+    }
+  }
+
+  /**
+   * Test whether an object is an Account.
+   * @param {Object} obj
+   * @returns {Boolean}
+   */
+
+  static isAccount (obj) {
+    return obj instanceof Account
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function getLookup (lookup) {
+  if (typeof lookup === 'function') { return lookup }
+
+  assert(lookup && typeof lookup.hasHistory === 'function',
+    'Lookup must be a function or have a hasHistory method.')
+
+  return lookup.hasHistory.bind(lookup)
+}
+
+/*
+ * Expose
+ */
+
+module.exports = Account
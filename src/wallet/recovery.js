@@ -0,0 +1,55 @@
+/*!
+ * recovery.js - bip44 account discovery
+ */
+
+'use strict'
+
+const assert = require('bsert')
+const Network = require('../protocol/network')
+const Account = require('./account')
+
+/**
+ * Discover the used accounts of a seed as BIP44 recommends:
+ * scan account 0, then each next account as long as the
+ * receive branch of the one before it has history.
+ * @param {Buffer} seed
+ * @param {Function|Object} lookup - `(address, path) => Boolean`,
+ * sync or async, or an object with a `hasHistory` method.
+ * @param {Object?} options
+ * @param {Number} [options.gapLimit=20]
+ * @param {Number} [options.maxAccounts=100]
+ * @param {(Network|NetworkType)?} options.network
+ * @returns {Promise<Object[]>} `{accountIndex, receive, change, account}`
+ * for every used account, or account 0 when none is used.
+ */
+
+async function recover (seed, lookup, options = {}) {
+  const { gapLimit = 20, maxAccounts = 100 } = options
+  const network = Network.get(options.network)
+
+  assert((maxAccounts >>> 0) === maxAccounts && maxAccounts > 0, 'Max accounts must be positive.')
+
+  const accounts = []
+
+  for (let accountIndex = 0; accountIndex < maxAccounts; accountIndex++) {
+    const account = Account.fromSeed(seed, accountIndex, network)
+    const { receive, change } = await account.scan(lookup, gapLimit)
+
+    // An account is used once its external chain has history.
+    // Always hand back the first account, even unused.
+    if (receive === -1) {
+      if (accountIndex === 0) { accounts.push({ accountIndex, receive, change, account }) }
+      break
+    }
+
+    accounts.push({ accountIndex, receive, change, account })
+  }
+
+  return accounts
+}
+
+/*
+ * Expose
+ */
+
+exports.recover = recover
@@ -0,0 +1,194 @@
+/* eslint-env mocha */
+
+'use strict'
+
+const assert = require('bsert')
+const Address = require('../src/primitives/address')
+const Coin = require('../src/primitives/coin')
+const Covenant = require('../src/primitives/covenant')
+const MTX = require('../src/primitives/mtx')
+const NameState = require('../src/primitives/namestate')
+const Network = require('../src/protocol/network')
+const rules = require('../src/rule')
+
+const { types } = rules
+
+const network = Network.get('main')
+const { transferLockup } = network.names
+
+const name = Buffer.from('handshake', 'ascii')
+const nameHash = rules.hashName(name)
+const nonce = Buffer.alloc(32, 0x02)
+
+const alice = Address.fromHash(Buffer.alloc(20, 0x01), 0)
+const bob = Address.fromHash(Buffer.alloc(20, 0x02), 0)
+
+const HEIGHT = 100
+const VALUE = 1000
+
+function u32 (num) {
+  const data = Buffer.alloc(4)
+  data.writeUInt32LE(num, 0)
+  return data
+}
+
+function covenant (type, ...items) {
+  if (type === types.NONE) { return new Covenant(type, []) }
+
+  return new Covenant(type, [nameHash, u32(HEIGHT), ...items])
+}
+
+// Spends a coin with covenant `uc` into an output
+// with covenant `cov` at the same index.
+function spend (uc, cov, options = {}) {
+  const {
+    value = VALUE,
+    address = alice,
+    outputValue = value,
+    outputAddress = address,
+    coinHeight = HEIGHT,
+    height = HEIGHT + 10,
+    ns = null
+  } = options
+
+  const mtx = new MTX()
+
+  mtx.addCoin(new Coin({
+    hash: Buffer.alloc(32, 0x11),
+    index: 0,
+    height: coinHeight,
+    value,
+    address,
+    covenant: uc
+  }))
+
+  if (cov) {
+    mtx.addOutput({
+      address: outputAddress,
+      value: outputValue,
+      covenant: cov
+    })
+  }
+
+  if (ns) { mtx.view.addName(ns) }
+
+  return rules.verifyCovenants(mtx, mtx.view, height, network)
+}
+
+function nameState (value) {
+  const ns = new NameState()
+  ns.nameHash = nameHash
+  ns.height = HEIGHT
+  ns.value = value
+  return ns
+}
+
+describe('Rules', function () {
+  describe('verifyCovenants', function () {
+    const bid = covenant(types.BID, name, rules.createBlind(VALUE, nonce))
+    const reveal = covenant(types.REVEAL, nonce)
+    const claim = covenant(types.CLAIM, name, Buffer.alloc(1),
+      Buffer.alloc(32), u32(0))
+    const register = covenant(types.REGISTER, Buffer.alloc(0), Buffer.alloc(32))
+    const update = covenant(types.UPDATE, Buffer.alloc(0))
+    const renew = covenant(types.RENEW, Buffer.alloc(32))
+    const transfer = covenant(types.TRANSFER, Buffer.from([bob.version]), bob.hash)
+    const finalize = covenant(types.FINALIZE, name, Buffer.alloc(1),
+      u32(0), u32(0), Buffer.alloc(32))
+    const revoke = covenant(types.REVOKE)
+    const redeem = covenant(types.REDEEM)
+    const none = covenant(types.NONE)
+    const open = new Covenant(types.OPEN, [nameHash, u32(0), name])
+    const unknown = new Covenant(types.REVOKE + 1, [])
+
+    it('should reveal a bid at its blind', () => {
+      assert.strictEqual(spend(bid, reveal), true)
+      assert.strictEqual(spend(bid, reveal, { outputValue: VALUE - 1 }), false)
+      assert.strictEqual(spend(bid, register), false)
+    })
+
+    it('should only register a claim', () => {
+      assert.strictEqual(spend(claim, register), true)
+      assert.strictEqual(spend(claim, update), false)
+      assert.strictEqual(spend(claim, transfer), false)
+      assert.strictEqual(spend(claim, register, { outputAddress: bob }), false)
+    })
+
+    it('should redeem or register a reveal', () => {
+      assert.strictEqual(spend(reveal, redeem), true)
+      assert.strictEqual(spend(reveal, redeem, { outputAddress: bob }), true)
+      assert.strictEqual(spend(reveal, register), true)
+      assert.strictEqual(spend(reveal, register, { outputAddress: bob }), false)
+      assert.strictEqual(spend(reveal, update), false)
+    })
+
+    it('should register at the second price', () => {
+      const ns = nameState(VALUE / 2)
+
+      assert.strictEqual(spend(reveal, register, { outputValue: VALUE / 2, ns }), true)
+      assert.strictEqual(spend(reveal, register, { ns }), false)
+      assert.strictEqual(spend(reveal, register, { outputValue: VALUE + 1 }), false)
+    })
+
+    it('should keep an owned name at its address and value', () => {
+      for (const uc of [register, update, renew, finalize]) {
+        assert.strictEqual(spend(uc, update), true)
+        assert.strictEqual(spend(uc, renew), true)
+        assert.strictEqual(spend(uc, transfer), true)
+        assert.strictEqual(spend(uc, revoke), true)
+        assert.strictEqual(spend(uc, register), false)
+        assert.strictEqual(spend(uc, finalize), false)
+        assert.strictEqual(spend(uc, update, { outputAddress: bob }), false)
+        assert.strictEqual(spend(uc, update, { outputValue: VALUE - 1 }), false)
+      }
+    })
+
+    it('should cancel, renew, revoke or finalize a transfer', () => {
+      const height = HEIGHT + transferLockup
+
+      assert.strictEqual(spend(transfer, update), true)
+      assert.strictEqual(spend(transfer, renew), true)
+      assert.strictEqual(spend(transfer, revoke), true)
+      assert.strictEqual(spend(transfer, transfer), false)
+      assert.strictEqual(spend(transfer, renew, { outputAddress: bob }), false)
+
+      assert.strictEqual(spend(transfer, finalize, { outputAddress: bob, height }), true)
+      assert.strictEqual(spend(transfer, finalize, { outputAddress: bob }), false)
+      assert.strictEqual(spend(transfer, finalize, { height }), false)
+    })
+
+    it('should not spend a revoke', () => {
+      assert.strictEqual(spend(revoke, none), false)
+      assert.strictEqual(spend(revoke, update), false)
+    })
+
+    it('should spend funds only into funds, opens or bids', () => {
+      for (const uc of [none, open, redeem]) {
+        assert.strictEqual(spend(uc, none), true)
+        assert.strictEqual(spend(uc, open), true)
+        assert.strictEqual(spend(uc, bid), true)
+        assert.strictEqual(spend(uc, null), true)
+        assert.strictEqual(spend(uc, unknown), false)
+        assert.strictEqual(spend(uc, register), false)
+        assert.strictEqual(spend(uc, reveal), false)
+      }
+    })
+
+    it('should not spend unknown covenants into names', () => {
+      assert.strictEqual(spend(unknown, none), true)
+      assert.strictEqual(spend(unknown, unknown), true)
+      assert.strictEqual(spend(unknown, open), false)
+      assert.strictEqual(spend(unknown, bid), false)
+      assert.strictEqual(spend(unknown, update), false)
+    })
+
+    it('should link every name output to an input', () => {
+      const mtx = new MTX()
+
+      mtx.addOutput({ address: alice, value: VALUE, covenant: update })
+
+      assert.strictEqual(rules.verifyCovenants(mtx, mtx.view, HEIGHT, network), false)
+      assert.strictEqual(rules.hasSaneCovenants(mtx), false)
+    })
+  })
+})